@@ -0,0 +1,539 @@
+/**
+ * Exemplar Capture — Interactive Capture Jobs (service worker side)
+ *
+ * Runs the capture jobs the popup starts (see lib/capture-job.js) so they
+ * survive the popup closing: screenshots are taken here over
+ * chrome.debugger, held in the offscreen document until the user has
+ * described or reviewed them, then saved there. Every change, including
+ * progress within a page, is written to chrome.storage.session for the
+ * popup to render. Capturing and saving can be cancelled (cancelJob).
+ */
+
+import {
+  STORAGE_KEYS, LOGIN_STATES, DESCRIPTION_MODES, CAPTURE_TARGETS, DEFAULT_SETTLE_TIMEOUT_MS,
+} from '../lib/constants.js';
+import { buildDescription } from '../lib/description.js';
+import {
+  capturePage, captureSummary, hasComplianceContent, sessionKeywords,
+} from '../lib/capture-pipeline.js';
+import { isCapturableUrl, withVisibleTab, openWorkingTab, closeWorkingTab } from '../lib/tabs.js';
+import {
+  JOB_KINDS, JOB_PHASES, loadCaptureJob, storeCaptureJob, isJobWaiting, getUrlKey, loadEntryPage,
+  loadStepCounter, saveStepCounter, lastCaptureRecord, recordSavedPages,
+} from '../lib/capture-job.js';
+import { callOffscreen, withOffscreen, stageResults } from './offscreen-client.js';
+
+let job; // In-memory copy of the stored job; undefined until loaded
+let controller = null; // Aborts the work in progress (runInBackground)
+
+async function currentJob() {
+  if (job === undefined) job = await loadCaptureJob();
+  return job;
+}
+
+function persist() {
+  return storeCaptureJob(job);
+}
+
+/**
+ * A new status line starts a new step, so it clears the progress.
+ */
+function setStatus(message, type = 'info') {
+  job.status = { message, type };
+  job.progress = null;
+  return persist();
+}
+
+/**
+ * Record progress within the current step ({ phase, current, total, ... },
+ * see PROGRESS_PHASES).
+ */
+function setProgress(progress) {
+  if (!job) return;
+  job.progress = progress;
+  persist();
+}
+
+async function loadSession() {
+  const stored = await chrome.storage.local.get(STORAGE_KEYS.SESSION);
+  if (!stored[STORAGE_KEYS.SESSION]) throw new Error('No active session.');
+  return stored[STORAGE_KEYS.SESSION];
+}
+
+async function assertNoJob() {
+  if (await currentJob()) throw new Error('Another capture is still in progress.');
+}
+
+function newJob(kind, fields) {
+  return {
+    id: `job-${Date.now()}`,
+    kind,
+    phase: JOB_PHASES.CAPTURING,
+    status: { message: 'Preparing capture...', type: 'info' },
+    progress: null,
+    pages: [],
+    ...fields,
+  };
+}
+
+/**
+ * Capture a page and hand the results to the offscreen document, keeping
+ * only the summary, thumbnail and suggested description on the job.
+ */
+async function captureAndHold(session, page, { stepOrIndex, descMode, signal, onStatus }) {
+  const { results, pageContent } = await capturePage(session, page, {
+    stepOrIndex, signal, onStatus, onProgress: setProgress,
+  });
+  const { thumbnailDataUrl } = await callOffscreen('holdCapture', {
+    key: page.key, results: await stageResults(page.key, results),
+  });
+  Object.assign(page, captureSummary(results), { thumbnailDataUrl, pageContent });
+  page.descMode = hasComplianceContent(session, page) ? DESCRIPTION_MODES.COMPLIANCE : descMode;
+  page.description = buildDescription(pageContent, page.descMode, sessionKeywords(session));
+}
+
+/**
+ * Save a held capture at the next step/index and update the session records.
+ * Aborting the signal cancels the save in the offscreen document.
+ */
+async function saveHeld(session, page, description, signal) {
+  signal.throwIfAborted();
+  const stepOrIndex = await loadStepCounter();
+  const cancelSave = () => callOffscreen('cancelSave', { key: page.key }).catch(() => {});
+  signal.addEventListener('abort', cancelSave);
+  let saved;
+  try {
+    saved = await callOffscreen('saveHeldCapture', {
+      key: page.key,
+      session,
+      page: { ...page, pageContent: undefined },
+      description,
+      stepOrIndex,
+      duplicate: !!page.duplicate,
+    });
+  } finally {
+    signal.removeEventListener('abort', cancelSave);
+  }
+  await recordSavedPages(saved.manifestRows, [page], saved.checksums);
+  await saveStepCounter(stepOrIndex + 1);
+  const lastCapture = lastCaptureRecord(page, description, stepOrIndex, saved.artifacts);
+  await chrome.storage.local.set({ [STORAGE_KEYS.LAST_CAPTURE]: lastCapture });
+  return { ...saved, stepOrIndex, lastCapture };
+}
+
+// ─── Single Page ───
+
+/**
+ * Capture one page, then wait for its description (saveSingle).
+ */
+async function startSingle({ page, duplicate, descMode }) {
+  await assertNoJob();
+  const session = await loadSession();
+  job = newJob(JOB_KINDS.SINGLE, {});
+  job.pages.push({ ...page, key: `${job.id}/0`, duplicate: !!duplicate });
+  await persist();
+
+  runInBackground(async (signal) => {
+    const target = job.pages[0];
+    try {
+      const stepOrIndex = await loadStepCounter();
+      await withOffscreen(() => captureAndHold(session, target, {
+        stepOrIndex,
+        descMode,
+        signal,
+        onStatus: message => setStatus(message),
+      }));
+      job.phase = JOB_PHASES.DESCRIBING;
+      const profileNote = target.profileCount > 1 ? ` under ${target.profileCount} profiles` : '';
+      const message = target.numParts > 1
+        ? `Screenshot captured${profileNote} (${target.numParts} parts). Add a description below.`
+        : 'Screenshot captured. Add a description below.';
+      if (target.settleTimedOut) {
+        const seconds = Math.round((session.settleTimeoutMs || DEFAULT_SETTLE_TIMEOUT_MS) / 1000);
+        await setStatus(`${message} Note: the page was still loading after ${seconds}s and was captured anyway.`, 'error');
+      } else {
+        await setStatus(message, 'success');
+      }
+    } catch (err) {
+      job.phase = JOB_PHASES.FAILED;
+      if (signal.aborted) {
+        await setStatus('Capture cancelled.');
+      } else {
+        await setStatus(`Capture failed: ${err.message}`, 'error');
+      }
+    }
+  });
+}
+
+async function saveSingle({ description }) {
+  const current = await currentJob();
+  if (!current || current.kind !== JOB_KINDS.SINGLE || current.phase !== JOB_PHASES.DESCRIBING) {
+    throw new Error('Nothing is waiting to be saved.');
+  }
+  const session = await loadSession();
+  const page = job.pages[0];
+  page.description = description;
+  job.phase = JOB_PHASES.SAVING;
+  await setStatus('Saving...');
+
+  runInBackground(async (signal) => {
+    try {
+      const saved = await withOffscreen(() => saveHeld(session, page, description, signal));
+      job.phase = JOB_PHASES.DONE;
+      const savedWhat = saved.artifacts.length > 1
+        ? `${saved.artifacts.length} PNG + PDF sets`
+        : saved.lastCapture.pdfFilename;
+      const message = `Saved: ${savedWhat} (${saved.savedTo})`;
+      if (saved.warnings.length > 0) {
+        await setStatus(`${message}. ${saved.warnings.join('; ')}`, 'error');
+      } else {
+        await setStatus(message, 'success');
+      }
+    } catch (err) {
+      // Keep the capture so saving can be retried
+      job.phase = JOB_PHASES.DESCRIBING;
+      if (signal.aborted) {
+        await setStatus('Save cancelled; the capture is kept.');
+      } else {
+        await setStatus(`Save failed: ${err.message}`, 'error');
+      }
+    }
+  });
+}
+
+// ─── All Tabs ───
+
+/**
+ * Capture every capturable tab of a window, then wait for review (saveBatch).
+ */
+async function startBatch({ windowId, loginState, descMode, version }) {
+  await assertNoJob();
+  const session = await loadSession();
+  const tabs = (await chrome.tabs.query({ windowId })).filter(tab => isCapturableUrl(tab.url));
+  if (tabs.length === 0) throw new Error('No capturable tabs in this window.');
+
+  const stored = await chrome.storage.local.get([STORAGE_KEYS.PAGE_NAMES, STORAGE_KEYS.CAPTURE_HISTORY]);
+  const pageNames = stored[STORAGE_KEYS.PAGE_NAMES] || {};
+  const history = stored[STORAGE_KEYS.CAPTURE_HISTORY] || {};
+
+  job = newJob(JOB_KINDS.BATCH, { version });
+  job.pages = tabs.map((tab, i) => {
+    const url = new URL(tab.url);
+    const urlPath = url.pathname + url.search;
+    const urlKey = getUrlKey(urlPath, loginState);
+    return {
+      key: `${job.id}/${i}`,
+      tabId: tab.id, fullURL: tab.url, hostname: url.hostname, urlPath, urlKey,
+      target: { type: CAPTURE_TARGETS.FULL_PAGE },
+      timestamp: new Date().toLocaleString(),
+      loginState,
+      version: '',
+      profileId: session.profile,
+      regionId: session.region,
+      language: session.language,
+      pageName: pageNames[urlKey] || (tab.title || '').trim() || urlPath,
+      duplicate: !!(history[getUrlKey(urlPath, LOGIN_STATES.LOGGED_IN)]
+        || history[getUrlKey(urlPath, LOGIN_STATES.LOGGED_OUT)]),
+      include: true,
+    };
+  });
+  await persist();
+
+  runInBackground(async (signal) => {
+    const firstStep = await loadStepCounter();
+    for (let i = 0; i < job.pages.length; i++) {
+      const page = job.pages[i];
+      if (signal.aborted) {
+        page.error = 'Cancelled';
+        page.include = false;
+        continue;
+      }
+      await setStatus(`Capturing tab ${i + 1} of ${job.pages.length}: ${page.pageName}`);
+      try {
+        const tab = await chrome.tabs.get(page.tabId);
+        await withVisibleTab(tab, () => withOffscreen(() => captureAndHold(session, page, {
+          stepOrIndex: firstStep + i, // Provisional; final numbering happens on save
+          descMode,
+          signal,
+        })));
+      } catch (err) {
+        page.error = signal.aborted ? 'Cancelled' : err.message;
+        page.include = false;
+      }
+    }
+
+    job.phase = JOB_PHASES.REVIEWING;
+    const failed = job.pages.filter(p => p.error).length;
+    if (signal.aborted) {
+      await setStatus(`Cancelled after ${job.pages.length - failed} of ${job.pages.length} tabs. Review and save the captured tabs below.`);
+    } else if (failed > 0) {
+      await setStatus(`Captured ${job.pages.length - failed} of ${job.pages.length} tabs; ${failed} failed. Review and save below.`, 'error');
+    } else {
+      await setStatus(`Captured ${job.pages.length} tabs. Review names and descriptions, then save.`, 'success');
+    }
+  });
+}
+
+/**
+ * Save every included page in list order, numbering them from the step
+ * counter. Pages saved before a failure are removed from the list so a
+ * retry does not save them twice.
+ */
+async function saveBatch({ version, changes = [] }) {
+  const current = await currentJob();
+  if (!current || current.kind !== JOB_KINDS.BATCH || current.phase !== JOB_PHASES.REVIEWING) {
+    throw new Error('Nothing is waiting to be saved.');
+  }
+  applyPageChanges(changes);
+  const pages = job.pages.filter(p => p.include);
+  if (pages.length === 0) throw new Error('No pages selected to save.');
+  const unnamed = pages.find(p => !p.pageName.trim());
+  if (unnamed) throw new Error(`Name every page before saving (${unnamed.hostname}${unnamed.urlPath}).`);
+
+  const session = await loadSession();
+  job.version = version;
+  job.phase = JOB_PHASES.SAVING;
+  await persist();
+
+  runInBackground(async (signal) => {
+    const warnings = [];
+    let saved = 0;
+    let savedTo = 'Downloads';
+    try {
+      await withOffscreen(async () => {
+        for (const page of pages) {
+          await setStatus(`Saving ${saved + 1} of ${pages.length}: ${page.pageName}`);
+          page.pageName = page.pageName.trim();
+          page.version = version;
+          const result = await saveHeld(session, page, page.description.trim() || '(no description)', signal);
+          warnings.push(...result.warnings.map(w => `${page.pageName}: ${w}`));
+          savedTo = result.savedTo;
+          page.saved = true;
+          saved++;
+        }
+        // Let go of the pages that were left out
+        await callOffscreen('releaseCaptures', { prefix: job.id });
+      });
+    } catch (err) {
+      job.pages = job.pages.filter(p => !p.saved);
+      job.phase = JOB_PHASES.REVIEWING;
+      const reason = signal.aborted ? 'cancelled' : `stopped: ${err.message}`;
+      await setStatus(`Saved ${saved} of ${pages.length}; ${reason}`, 'error');
+      return;
+    }
+
+    job.phase = JOB_PHASES.DONE;
+    if (warnings.length > 0) {
+      await setStatus(`Saved ${saved} pages (${savedTo}). ${warnings.join('; ')}`, 'error');
+    } else {
+      await setStatus(`Saved ${saved} pages (${savedTo})`, 'success');
+    }
+  });
+}
+
+// ─── URL List ───
+
+/**
+ * Load, capture and save each entry in order in a working window,
+ * numbering pages from the step counter. A failed entry is reported and
+ * skipped; it takes no step number, so a retry continues the sequence.
+ */
+async function startImport({ entries, parseErrors = [], loginState, descMode, version }) {
+  await assertNoJob();
+  const session = await loadSession();
+  job = newJob(JOB_KINDS.IMPORT, { outcomes: [], parseErrors });
+  await persist();
+
+  runInBackground(async (signal) => {
+    const stored = await chrome.storage.local.get([STORAGE_KEYS.PAGE_NAMES, STORAGE_KEYS.CAPTURE_HISTORY]);
+    const pageNames = stored[STORAGE_KEYS.PAGE_NAMES] || {};
+    const history = stored[STORAGE_KEYS.CAPTURE_HISTORY] || {};
+    let workingTab = null;
+    let savedTo = 'Downloads';
+
+    try {
+      workingTab = await openWorkingTab();
+      for (let i = 0; i < entries.length; i++) {
+        const entry = entries[i];
+        if (signal.aborted) {
+          // Reported as failed so Retry Failed picks them up
+          job.outcomes.push({ entry, ok: false, message: 'Cancelled' });
+          continue;
+        }
+        await setStatus(`Capturing ${i + 1} of ${entries.length}: ${entry.pageName || entry.url}`);
+        try {
+          const page = await loadEntryPage(workingTab.id, entry, {
+            loginState, version, profileId: session.profile, regionId: session.region,
+            language: session.language, pageNames,
+          });
+          page.key = `${job.id}/${i}`;
+          page.duplicate = !!(history[getUrlKey(page.urlPath, LOGIN_STATES.LOGGED_IN)]
+            || history[getUrlKey(page.urlPath, LOGIN_STATES.LOGGED_OUT)]);
+
+          const saved = await withOffscreen(async () => {
+            await captureAndHold(session, page, { stepOrIndex: await loadStepCounter(), descMode, signal });
+            return saveHeld(session, page, entry.description || page.description || '(no description)', signal);
+          });
+          pageNames[page.urlKey] = page.pageName;
+          history[page.urlKey] = true;
+          savedTo = saved.savedTo;
+          job.outcomes.push({
+            entry, ok: true, message: `${page.pageName} (step ${saved.stepOrIndex})`, warnings: saved.warnings,
+          });
+        } catch (err) {
+          job.outcomes.push({ entry, ok: false, message: signal.aborted ? 'Cancelled' : err.message });
+        }
+        await persist();
+      }
+    } catch (err) {
+      job.error = err.message;
+    } finally {
+      if (workingTab) await closeWorkingTab(workingTab);
+      await withOffscreen(() => callOffscreen('releaseCaptures', { prefix: job.id })).catch(() => {});
+    }
+
+    job.phase = JOB_PHASES.DONE;
+    const failed = job.outcomes.filter(o => !o.ok).length;
+    const saved = job.outcomes.length - failed;
+    if (job.error) {
+      await setStatus(`Import stopped: ${job.error}`, 'error');
+    } else if (signal.aborted) {
+      await setStatus(`Import cancelled: saved ${saved} of ${job.outcomes.length} URLs (${savedTo}).`, 'error');
+    } else if (failed > 0 || parseErrors.length > 0) {
+      const skipped = parseErrors.length > 0 ? `, ${parseErrors.length} rows skipped` : '';
+      await setStatus(`Saved ${saved} of ${job.outcomes.length} URLs (${savedTo}); ${failed} failed${skipped}.`, 'error');
+    } else {
+      await setStatus(`Saved ${saved} URLs (${savedTo})`, 'success');
+    }
+  });
+}
+
+// ─── Edits & Cleanup ───
+
+const EDITABLE_PAGE_FIELDS = ['pageName', 'description', 'descMode', 'descriptionEdited', 'include'];
+
+/**
+ * Apply the popup's page edits, given as [{ key, ...fields }].
+ */
+function applyPageChanges(changes) {
+  for (const change of changes) {
+    const page = job.pages.find(p => p.key === change.key);
+    if (!page) continue;
+    for (const field of EDITABLE_PAGE_FIELDS) {
+      if (field in change) page[field] = change[field];
+    }
+  }
+}
+
+/**
+ * Apply the popup's edits to a job awaiting description or review.
+ */
+async function updateJob({ version, changes = [] }) {
+  const current = await currentJob();
+  if (!current || !isJobWaiting(current)) return;
+  if (version !== undefined) job.version = version;
+  applyPageChanges(changes);
+  await persist();
+}
+
+/**
+ * Stop the job's capturing or saving at the next step. What happens to
+ * the pages done so far depends on the job (see each job's runner).
+ */
+async function cancelJob() {
+  const current = await currentJob();
+  if (!current || isJobWaiting(current) || !controller) throw new Error('Nothing to cancel.');
+  controller.abort();
+  await setStatus('Cancelling...');
+}
+
+/**
+ * Progress of a held capture being saved, sent by the offscreen document.
+ */
+async function reportProgress({ key, progress }) {
+  const current = await currentJob();
+  if (current && !isJobWaiting(current) && key.startsWith(`${current.id}/`)) {
+    setProgress(progress);
+  }
+}
+
+/**
+ * Drop a job that is waiting on the user, with any captures it still holds.
+ */
+async function discardJob() {
+  const current = await currentJob();
+  if (!current) return;
+  if (!isJobWaiting(current)) throw new Error('Wait for the capture to finish first.');
+  const { id } = current;
+  job = null;
+  await persist();
+  await withOffscreen(() => callOffscreen('releaseCaptures', { prefix: id })).catch(() => {});
+}
+
+/**
+ * A fresh service worker cannot be running a job; settle any job that
+ * was working when the previous one stopped.
+ */
+export async function recoverInterruptedJob() {
+  const current = await currentJob();
+  if (!current || isJobWaiting(current)) return;
+
+  if (current.phase === JOB_PHASES.SAVING) {
+    job.pages = job.pages.filter(p => !p.saved);
+    job.phase = job.kind === JOB_KINDS.SINGLE ? JOB_PHASES.DESCRIBING : JOB_PHASES.REVIEWING;
+    await setStatus('Saving was interrupted; save again.', 'error');
+  } else if (current.kind === JOB_KINDS.IMPORT) {
+    job.phase = JOB_PHASES.DONE;
+    await setStatus('The import was interrupted.', 'error');
+  } else {
+    job.phase = JOB_PHASES.FAILED;
+    await setStatus('Capture was interrupted.', 'error');
+  }
+}
+
+// ─── Messages ───
+
+/**
+ * Work continues after the popup's request has been answered. The task
+ * receives the AbortSignal that cancelJob aborts.
+ */
+function runInBackground(task) {
+  const ownController = new AbortController();
+  controller = ownController;
+  task(ownController.signal)
+    .catch(async (err) => {
+      console.error('Capture job failed:', err);
+      if (job) {
+        job.phase = JOB_PHASES.FAILED;
+        await setStatus(err.message, 'error');
+      }
+    })
+    .finally(() => {
+      if (controller === ownController) controller = null;
+    });
+}
+
+const handlers = {
+  startSingle,
+  saveSingle,
+  startBatch,
+  saveBatch,
+  startImport,
+  updateJob,
+  cancelJob,
+  reportProgress,
+  discardJob,
+};
+
+/**
+ * Handle a capture job message from the popup. Returns false if the
+ * action is not a capture job action.
+ */
+export function handleJobMessage(msg, sendResponse) {
+  const handler = handlers[msg.action];
+  if (!handler) return false;
+  handler(msg.data || {})
+    .then(() => sendResponse({ ok: true }))
+    .catch(err => sendResponse({ error: err.message }));
+  return true;
+}
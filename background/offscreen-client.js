@@ -0,0 +1,92 @@
+/**
+ * Exemplar Capture — Offscreen Document Client
+ *
+ * The service worker has no DOM, so stitching, PDF generation and saving
+ * happen in the offscreen document. It is created on demand and closed
+ * again once nothing uses it and it holds no captures awaiting save.
+ */
+
+const OFFSCREEN_URL = 'offscreen/offscreen.html';
+const STAGE_CHUNK_CHARS = 8 * 1024 * 1024; // well under the 64 MiB message limit
+
+let users = 0;
+let creating = null;
+
+async function ensureOffscreenDocument() {
+  const contexts = await chrome.runtime.getContexts({ contextTypes: ['OFFSCREEN_DOCUMENT'] });
+  if (contexts.length > 0) return;
+  // Only one offscreen document may exist; share a creation in progress
+  creating = creating || chrome.offscreen.createDocument({
+    url: OFFSCREEN_URL,
+    reasons: ['BLOBS'],
+    justification: 'Stitch captured screenshots on a canvas and build the PNG/PDF files to save.',
+  }).finally(() => { creating = null; });
+  await creating;
+}
+
+async function closeIfUnused() {
+  try {
+    const { held } = await callOffscreen('status');
+    if (held === 0 && users === 0) await chrome.offscreen.closeDocument();
+  } catch (err) {
+    // Already closed
+  }
+}
+
+/**
+ * Run a handler in the offscreen document and return its result.
+ * Call within withOffscreen so the document exists.
+ */
+export async function callOffscreen(action, data) {
+  const response = await chrome.runtime.sendMessage({ target: 'offscreen', action, data });
+  if (!response) throw new Error(`Offscreen document did not answer "${action}"`);
+  if (response.error) throw new Error(response.error);
+  return response;
+}
+
+/**
+ * Send a capture's large values ahead of its results, under `key`: the
+ * screenshot parts, native PDF and MHTML archive, in pieces. Runtime
+ * messages are JSON-serialized and capped at 64 MiB, which the parts of a
+ * long page at a high DPR can exceed together. Returns the results with
+ * each value replaced by a { staged } reference, for the offscreen
+ * document to put back when the results arrive (call within withOffscreen).
+ */
+export async function stageResults(key, results) {
+  let count = 0;
+  const stage = async (value) => {
+    const id = count++;
+    for (let start = 0; start < value.length; start += STAGE_CHUNK_CHARS) {
+      await callOffscreen('stageChunk', { key, id, chunk: value.slice(start, start + STAGE_CHUNK_CHARS) });
+    }
+    return { staged: id };
+  };
+
+  const stagedResults = [];
+  for (const result of results) {
+    const parts = [];
+    for (const part of result.parts) parts.push({ ...part, dataUrl: await stage(part.dataUrl) });
+    const { nativePdf, archive } = result;
+    stagedResults.push({
+      ...result,
+      parts,
+      nativePdf: nativePdf && nativePdf.dataUrl ? { ...nativePdf, dataUrl: await stage(nativePdf.dataUrl) } : nativePdf,
+      archive: archive && archive.mhtml ? { ...archive, mhtml: await stage(archive.mhtml) } : archive,
+    });
+  }
+  return stagedResults;
+}
+
+/**
+ * Run `fn` with the offscreen document open.
+ */
+export async function withOffscreen(fn) {
+  users++;
+  try {
+    await ensureOffscreenDocument();
+    return await fn();
+  } finally {
+    users--;
+    if (users === 0) await closeIfUnused();
+  }
+}
@@ -1,11 +1,178 @@
 /**
- * Exemplar Capture — Background Service Worker (minimal)
+ * Exemplar Capture — Background Service Worker
  *
- * All capture, processing, and saving logic runs directly in the popup.
- * This service worker exists because MV3 requires it, but it only handles
- * extension lifecycle events.
+ * Owns every capture so that closing the popup does not abort it:
+ *   - interactive capture jobs started from the popup (capture-jobs.js)
+ *   - scheduled jobs (lib/schedule.js), run unattended
+ * Pages are captured here over chrome.debugger, then handed to the
+ * offscreen document, which has the DOM needed to stitch, draw the
+ * overlay, build the PDF and save the files.
  */
 
-chrome.runtime.onInstalled.addListener(() => {
+import { LOGIN_STATES, DESCRIPTION_MODES, LANGUAGE_AUTO } from '../lib/constants.js';
+import { generateFolderPath, manifestFilename } from '../lib/naming.js';
+import { buildDescription } from '../lib/description.js';
+import { parseUrlList } from '../lib/url-list.js';
+import { capturePage, captureSummary, hasComplianceContent, sessionKeywords } from '../lib/capture-pipeline.js';
+import { downloadUrl } from '../lib/capture-engine.js';
+import { openWorkingTab, closeWorkingTab } from '../lib/tabs.js';
+import { loadEntryPage } from '../lib/capture-job.js';
+import {
+  RUN_STATUS, loadJobs, syncJobAlarms, jobIdForAlarm, recordRun, markInterruptedRuns,
+} from '../lib/schedule.js';
+import { callOffscreen, withOffscreen, stageResults } from './offscreen-client.js';
+import { handleJobMessage, recoverInterruptedJob } from './capture-jobs.js';
+
+// A worker that starts fresh cannot have a run or capture in progress
+// (runs are marked before the run queue starts; see below)
+recoverInterruptedJob();
+
+// ─── Helpers ───
+
+function todayString() {
+  const d = new Date();
+  return d.getFullYear() + '-' +
+    String(d.getMonth() + 1).padStart(2, '0') + '-' +
+    String(d.getDate()).padStart(2, '0');
+}
+
+// ─── Scheduled Runs ───
+
+// The queue starts once runs left by an earlier worker are marked
+// interrupted, so the run an alarm woke this worker for is not marked too
+let runQueue = markInterruptedRuns()
+  .catch(err => console.error('Marking interrupted runs failed:', err));
+
+/**
+ * Queue a job run; runs never overlap.
+ */
+function enqueueJob(jobId, trigger) {
+  runQueue = runQueue
+    .then(async () => {
+      const job = (await loadJobs()).find(j => j.id === jobId);
+      if (job) await runJob(job, trigger);
+    })
+    .catch(err => console.error('Scheduled run failed:', err));
+  return runQueue;
+}
+
+/**
+ * Capture and save every URL of a job into a folder for today's date,
+ * then write the run's manifest. Progress and the outcome per URL are
+ * kept in the run history.
+ */
+async function runJob(job, trigger) {
+  const date = todayString();
+  const session = {
+    mode: job.mode, date,
+    language: LANGUAGE_AUTO, flowOrSetName: job.name,
+    profile: job.profile,
+    ...job.options,
+  };
+  const { entries, errors } = parseUrlList(job.urlList);
+  const run = {
+    id: `${job.id}-${Date.now()}`,
+    jobId: job.id,
+    jobName: job.name,
+    trigger,
+    status: RUN_STATUS.RUNNING,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    folder: generateFolderPath(date, job.version, job.mode, job.name),
+    results: [],
+    errors,
+    error: null,
+  };
+  await recordRun(run);
+
+  const manifestRows = [];
+  const checksums = [];
+  let workingTab = null;
+  try {
+    await withOffscreen(async () => {
+      workingTab = await openWorkingTab();
+
+      let stepOrIndex = 1;
+      for (const entry of entries) {
+        try {
+          const page = await loadEntryPage(workingTab.id, entry, {
+            loginState: job.loginState || LOGIN_STATES.LOGGED_OUT, version: job.version, profileId: job.profile,
+            regionId: session.region, language: session.language,
+          });
+          const { results, pageContent } = await capturePage(session, page, { stepOrIndex });
+          page.keywordsFound = captureSummary(results).keywordsFound;
+          const descMode = hasComplianceContent(session, page) ? DESCRIPTION_MODES.COMPLIANCE : DESCRIPTION_MODES.SHORT;
+          const description = entry.description
+            || buildDescription(pageContent, descMode, sessionKeywords(session))
+            || '(no description)';
+
+          const key = `${run.id}/${stepOrIndex}`;
+          page.results = await stageResults(key, results);
+          const saved = await callOffscreen('saveCapture', { key, session, page, description, stepOrIndex });
+          manifestRows.push(...saved.manifestRows);
+          checksums.push(...saved.checksums);
+          run.results.push({
+            url: entry.url, ok: true, pageName: page.pageName, stepOrIndex, warnings: saved.warnings,
+          });
+          stepOrIndex++;
+        } catch (err) {
+          run.results.push({ url: entry.url, ok: false, message: err.message });
+        }
+        await recordRun(run);
+      }
+
+      if (manifestRows.length > 0) {
+        await callOffscreen('saveManifest', {
+          folder: run.folder,
+          filename: manifestFilename(date, job.version),
+          rows: manifestRows,
+          checksums,
+        });
+      }
+    });
+    run.status = RUN_STATUS.DONE;
+  } catch (err) {
+    run.status = RUN_STATUS.FAILED;
+    run.error = err.message;
+  } finally {
+    if (workingTab) await closeWorkingTab(workingTab);
+    run.finishedAt = new Date().toISOString();
+    await recordRun(run);
+  }
+}
+
+// ─── Events ───
+
+chrome.runtime.onInstalled.addListener(async () => {
   console.log('Exemplar Capture extension installed.');
+  await syncJobAlarms(await loadJobs());
+});
+
+// Alarms are not guaranteed to survive a browser restart
+chrome.runtime.onStartup.addListener(async () => {
+  await syncJobAlarms(await loadJobs());
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  const jobId = jobIdForAlarm(alarm.name);
+  if (jobId) return enqueueJob(jobId, 'schedule');
+});
+
+chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
+  if (msg.target !== 'service-worker') return;
+
+  if (handleJobMessage(msg, sendResponse)) return true; // async
+
+  if (msg.action === 'runJob') {
+    enqueueJob(msg.jobId, 'manual');
+    sendResponse({ queued: true });
+    return;
+  }
+
+  if (msg.action === 'download') {
+    downloadUrl(msg.url, msg.filename, msg.conflictAction)
+      .then(downloadId => sendResponse({ downloadId }))
+      .catch(err => sendResponse({ error: err.message }));
+    return true; // async
+  }
 });
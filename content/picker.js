@@ -0,0 +1,177 @@
+/**
+ * Exemplar Capture — Element / Region Picker
+ *
+ * Injected on demand by the popup (chrome.scripting). The popup sets
+ * window.__exemplarPickerMode to 'element' or 'region' first, then closes
+ * so the user can interact with the page:
+ *
+ *   element — hover to highlight, click to pick; a CSS selector is stored.
+ *   region  — drag to draw a rectangle; page coordinates are stored.
+ *
+ * The choice is written to chrome.storage.local and picked up the next
+ * time the popup opens. Esc cancels.
+ */
+
+(function () {
+  // Mirrors STORAGE_KEYS.CAPTURE_TARGET in lib/constants.js
+  const STORAGE_KEY = 'exemplar_capture_target';
+  const MIN_REGION_SIZE = 10;
+  const ACCENT = '#2563eb';
+
+  if (window.__exemplarPickerActive) return;
+  window.__exemplarPickerActive = true;
+
+  const mode = window.__exemplarPickerMode === 'region' ? 'region' : 'element';
+
+  // ─── Overlay UI ───
+  const layer = document.createElement('div');
+  layer.style.cssText = [
+    'position:fixed', 'inset:0', 'z-index:2147483647', 'cursor:crosshair',
+    mode === 'region' ? 'background:rgba(0,0,0,0.15)' : 'background:transparent',
+  ].join(';');
+
+  const box = document.createElement('div');
+  box.style.cssText = [
+    'position:fixed', 'pointer-events:none', 'display:none',
+    `border:2px solid ${ACCENT}`, 'background:rgba(37,99,235,0.12)',
+    'z-index:2147483647',
+  ].join(';');
+
+  const hint = document.createElement('div');
+  hint.style.cssText = [
+    'position:fixed', 'top:12px', 'left:50%', 'transform:translateX(-50%)',
+    'z-index:2147483647', 'pointer-events:none', 'padding:6px 12px',
+    'border-radius:6px', 'background:#111', 'color:#fff',
+    'font:12px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif',
+  ].join(';');
+  hint.textContent = mode === 'region'
+    ? 'Drag to draw the capture region — Esc to cancel'
+    : 'Click the element to capture — Esc to cancel';
+
+  document.documentElement.append(layer, box, hint);
+
+  function showBox(left, top, width, height) {
+    box.style.display = 'block';
+    box.style.left = `${left}px`;
+    box.style.top = `${top}px`;
+    box.style.width = `${width}px`;
+    box.style.height = `${height}px`;
+  }
+
+  function cleanup() {
+    layer.remove();
+    box.remove();
+    hint.remove();
+    document.removeEventListener('keydown', onKeyDown, true);
+    window.__exemplarPickerActive = false;
+  }
+
+  function finish(target) {
+    cleanup();
+    chrome.storage.local.set({ [STORAGE_KEY]: { ...target, url: location.href } }, () => {
+      const toast = document.createElement('div');
+      toast.style.cssText = hint.style.cssText;
+      toast.textContent = 'Selection saved — reopen Exemplar Capture to capture it.';
+      document.documentElement.append(toast);
+      setTimeout(() => toast.remove(), 3000);
+    });
+  }
+
+  function onKeyDown(e) {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      cleanup();
+    }
+  }
+  document.addEventListener('keydown', onKeyDown, true);
+
+  // ─── Element mode ───
+
+  /**
+   * Build a selector that uniquely identifies the element, preferring ids.
+   */
+  function buildSelector(el) {
+    const segments = [];
+    let node = el;
+    while (node && node.nodeType === Node.ELEMENT_NODE && node !== document.documentElement) {
+      if (node.id) {
+        const idSelector = `#${CSS.escape(node.id)}`;
+        if (document.querySelectorAll(idSelector).length === 1) {
+          segments.unshift(idSelector);
+          break;
+        }
+      }
+      let segment = node.tagName.toLowerCase();
+      const parent = node.parentElement;
+      if (parent) {
+        const siblings = Array.from(parent.children).filter(c => c.tagName === node.tagName);
+        if (siblings.length > 1) {
+          segment += `:nth-of-type(${siblings.indexOf(node) + 1})`;
+        }
+      }
+      segments.unshift(segment);
+      node = parent;
+    }
+    return segments.join(' > ');
+  }
+
+  function elementAt(x, y) {
+    layer.style.pointerEvents = 'none';
+    const el = document.elementFromPoint(x, y);
+    layer.style.pointerEvents = '';
+    return el;
+  }
+
+  if (mode === 'element') {
+    layer.addEventListener('mousemove', (e) => {
+      const el = elementAt(e.clientX, e.clientY);
+      if (!el) return;
+      const r = el.getBoundingClientRect();
+      showBox(r.left, r.top, r.width, r.height);
+    });
+    layer.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      const el = elementAt(e.clientX, e.clientY);
+      if (!el) return;
+      finish({ type: 'element', selector: buildSelector(el) });
+    });
+    return;
+  }
+
+  // ─── Region mode ───
+  let start = null;
+
+  layer.addEventListener('mousedown', (e) => {
+    e.preventDefault();
+    start = { x: e.clientX, y: e.clientY };
+    showBox(start.x, start.y, 0, 0);
+  });
+  layer.addEventListener('mousemove', (e) => {
+    if (!start) return;
+    showBox(
+      Math.min(start.x, e.clientX), Math.min(start.y, e.clientY),
+      Math.abs(e.clientX - start.x), Math.abs(e.clientY - start.y)
+    );
+  });
+  layer.addEventListener('mouseup', (e) => {
+    if (!start) return;
+    const width = Math.abs(e.clientX - start.x);
+    const height = Math.abs(e.clientY - start.y);
+    if (width < MIN_REGION_SIZE || height < MIN_REGION_SIZE) {
+      start = null;
+      box.style.display = 'none';
+      return;
+    }
+    // Store in page coordinates so the region survives scrolling
+    finish({
+      type: 'region',
+      rect: {
+        x: Math.round(Math.min(start.x, e.clientX) + window.scrollX),
+        y: Math.round(Math.min(start.y, e.clientY) + window.scrollY),
+        width: Math.round(width),
+        height: Math.round(height),
+      },
+    });
+  });
+})();
@@ -1,19 +1,27 @@
 /**
  * Exemplar Capture — Capture Engine
- * Runs inside the popup context. Uses the Chrome DevTools Protocol
+ * Captures run in the service worker; stitching, PDF generation and
+ * saving run in the offscreen document. Uses the Chrome DevTools Protocol
  * (via chrome.debugger) to capture the full page.
  *
  * Capture strategy:
- *   Always split the page into small vertical clips (≤ 4 000 CSS px)
- *   using captureBeyondViewport + scale 1.  This keeps each bitmap
+ *   Always split the page into small vertical clips (≤ 4 000 device px,
+ *   i.e. 4 000 / DPR CSS px) using captureBeyondViewport, captured at the
+ *   profile's device scale factor.  This keeps each bitmap
  *   well under the most conservative GPU texture limit (4 096 px),
  *   avoids viewport-override distortions, and works on every GPU.
- *   The popup stitches the parts onto a canvas for the overlay/PNG,
- *   and the PDF places all parts on a single long page.
+ *   The offscreen document stitches the parts into tiles of at most 16 384 px for
+ *   the overlay/PNG, and the PDF pages are sliced across those tiles.
  *
  * Also handles: header overlay rendering, PDF generation, file saving.
  */
 
+import {
+  CAPTURE_PROFILES, DEFAULT_PROFILE, FIXED_ELEMENT_POLICIES, CAPTURE_TARGETS, DEFAULT_SETTLE_TIMEOUT_MS,
+  PROGRESS_PHASES, REGION_PRESETS, DEFAULT_REGION,
+} from './constants.js';
+import { pdfSafeText, preparePdfA, checkPdfA } from './pdfa.js';
+
 // ─── Overlay constants ───
 const OVERLAY = {
   PADDING: 16,
@@ -23,14 +31,20 @@ const OVERLAY = {
   TEXT_COLOR: '#111111',      // Dark text for values
   LABEL_COLOR: '#6b6b6b',     // Grey for labels
   FONT_FAMILY: 'Consolas, "SF Mono", "Fira Code", monospace',
+  HIGHLIGHT_COLOR: '#dc2626',                // Keyword highlight outline
+  HIGHLIGHT_FILL: 'rgba(250, 204, 21, 0.25)', // Keyword highlight fill
 };
 
 // ─── Capture constants ───
-const PRE_SCROLL_STEP_DELAY = 150; // ms between scroll steps
-const LAZY_SETTLE_MS = 2000;       // ms to wait at the bottom for content to render
-const SCROLL_TOP_SETTLE = 500;     // ms to wait after scrolling back to top
-const MAX_CHUNK_HEIGHT = 4000;     // conservative chunk height that works on all GPUs
-const CAPTURE_WIDTH = 1440;        // fixed capture width in CSS px
+const NETWORK_QUIET_MS = 500;     // no requests in flight for this long = network idle
+const STALLED_REQUEST_MS = 5000;  // in-flight longer than this (long-poll, beacons) = ignored
+const IDLE_POLL_MS = 50;          // how often the idle condition is re-checked
+const FRAME_FALLBACK_MS = 100;    // max wait for a frame after scrolling
+const MAX_CHUNK_HEIGHT = 4000;    // conservative chunk height (device px) that works on all GPUs
+const RESTORE_RELOAD_MS = 15000;  // longest wait for the reload that undoes a region preset
+
+/** Tallest canvas we draw onto (HTML canvas limit on most browsers). */
+export const MAX_CANVAS_HEIGHT = 16384;
 
 // A4 ratio: 210mm x 297mm → height/width = 1.4142857
 const A4_RATIO = 297 / 210;
@@ -41,6 +55,11 @@ function sleep(ms) {
   return new Promise(r => setTimeout(r, ms));
 }
 
+/** Throw the signal's AbortError once it is aborted. */
+function checkSignal(signal) {
+  if (signal) signal.throwIfAborted();
+}
+
 /** Promise wrapper around chrome.debugger.attach */
 function dbgAttach(tabId, version = '1.3') {
   return new Promise((resolve, reject) => {
@@ -95,123 +114,1122 @@ async function getDomDimensions(tabId) {
   return JSON.parse(result.result.value);
 }
 
+/**
+ * Reload the page and wait for its load event. Returns false if the
+ * deadline passed first. Page events must be enabled.
+ */
+async function reloadPage(tabId, deadline) {
+  let onEvent;
+  let timer;
+  const loaded = new Promise((resolve) => {
+    onEvent = (source, method) => {
+      if (source.tabId === tabId && method === 'Page.loadEventFired') resolve(true);
+    };
+    chrome.debugger.onEvent.addListener(onEvent);
+  });
+  try {
+    await dbgSend(tabId, 'Page.reload');
+    const timeout = new Promise((resolve) => {
+      timer = setTimeout(() => resolve(false), Math.max(0, deadline - Date.now()));
+    });
+    return await Promise.race([loaded, timeout]);
+  } finally {
+    clearTimeout(timer);
+    chrome.debugger.onEvent.removeListener(onEvent);
+  }
+}
+
+/**
+ * Reload a tab once captures under a region preset are done and their
+ * overrides cleared, so it shows the page for its own locale again.
+ * Waits up to RESTORE_RELOAD_MS for the load event.
+ */
+export async function reloadAfterRegion(tabId) {
+  await dbgAttach(tabId);
+  try {
+    await dbgSend(tabId, 'Page.enable');
+    await reloadPage(tabId, Date.now() + RESTORE_RELOAD_MS);
+  } finally {
+    await dbgDetach(tabId);
+  }
+}
+
+// ─── Network-Idle Settling ───
+
+/**
+ * Track requests for a tab through Network domain events.
+ * Call dispose() to stop listening (detaching also ends the events).
+ */
+async function trackNetwork(tabId) {
+  const inflight = new Map(); // requestId → start time
+  let requestCount = 0;
+  let lastActivity = Date.now();
+
+  const onEvent = (source, method, params) => {
+    if (source.tabId !== tabId) return;
+    if (method === 'Network.requestWillBeSent') {
+      if (params.type === 'EventSource') return; // Never finishes by design
+      if (!inflight.has(params.requestId)) requestCount++; // Redirects reuse the id
+      inflight.set(params.requestId, Date.now());
+      lastActivity = Date.now();
+    } else if (method === 'Network.loadingFinished' || method === 'Network.loadingFailed') {
+      if (inflight.delete(params.requestId)) lastActivity = Date.now();
+    }
+  };
+
+  chrome.debugger.onEvent.addListener(onEvent);
+  try {
+    await dbgSend(tabId, 'Network.enable');
+  } catch (err) {
+    chrome.debugger.onEvent.removeListener(onEvent);
+    throw err;
+  }
+
+  return {
+    get requestCount() { return requestCount; },
+    /** Idle: nothing recent in flight and no activity for NETWORK_QUIET_MS. */
+    isIdle(now) {
+      for (const started of inflight.values()) {
+        if (now - started < STALLED_REQUEST_MS) return false;
+      }
+      return now - lastActivity >= NETWORK_QUIET_MS;
+    },
+    dispose() {
+      chrome.debugger.onEvent.removeListener(onEvent);
+    },
+  };
+}
+
+/**
+ * Wait until the network is idle. Returns false if the deadline passed first.
+ */
+async function waitForNetworkIdle(network, deadline, signal) {
+  while (!network.isIdle(Date.now())) {
+    checkSignal(signal);
+    if (Date.now() >= deadline) return false;
+    await sleep(IDLE_POLL_MS);
+  }
+  return true;
+}
+
+/**
+ * Scroll to y, wait for the next frame so scroll/intersection handlers
+ * run, and return the current scroll height.
+ */
+async function scrollAndMeasure(tabId, y) {
+  const result = await dbgSend(tabId, 'Runtime.evaluate', {
+    expression: `(async () => {
+      window.scrollTo(0, ${y});
+      await new Promise(resolve => {
+        requestAnimationFrame(() => requestAnimationFrame(resolve));
+        setTimeout(resolve, ${FRAME_FALLBACK_MS}); // rAF is throttled in hidden tabs
+      });
+      return {
+        scrollHeight: Math.max(
+          document.documentElement.scrollHeight,
+          document.body ? document.body.scrollHeight : 0
+        ),
+        viewportHeight: window.innerHeight,
+      };
+    })()`,
+    awaitPromise: true,
+    returnByValue: true,
+  });
+  return result?.result?.value || { scrollHeight: 0, viewportHeight: 900 };
+}
+
+/**
+ * Wait for web fonts, then for every image to finish loading and decoding.
+ * Returns false if the deadline passed first.
+ */
+async function waitForFontsAndImages(tabId, deadline) {
+  const budget = Math.max(0, deadline - Date.now());
+  const result = await dbgSend(tabId, 'Runtime.evaluate', {
+    expression: `(async () => {
+      const timeout = new Promise(resolve => setTimeout(() => resolve(false), ${budget}));
+      const ready = (async () => {
+        if (document.fonts) await document.fonts.ready;
+        await Promise.all(Array.from(document.images, img => img.decode().catch(() => {})));
+        return true;
+      })();
+      return Promise.race([ready, timeout]);
+    })()`,
+    awaitPromise: true,
+    returnByValue: true,
+  });
+  return result?.result?.value === true;
+}
+
+/**
+ * Pre-scroll the page in half-viewport steps to trigger lazy content,
+ * waiting for the network to go idle after each step, then return to the
+ * top and wait for fonts and images. Reports each step through onProgress;
+ * the total grows as lazy content extends the page.
+ *
+ * @returns {Promise<boolean>} Whether the page settled before the deadline.
+ */
+async function settlePage(tabId, network, deadline, { signal, onProgress }) {
+  let settled = await waitForNetworkIdle(network, deadline, signal);
+
+  const first = await scrollAndMeasure(tabId, 0);
+  const step = Math.max(Math.floor(first.viewportHeight / 2), 200);
+  let maxScroll = first.scrollHeight;
+
+  for (let y = step; y <= maxScroll; y += step) {
+    onProgress({ phase: PROGRESS_PHASES.SETTLING, current: y / step, total: Math.floor(maxScroll / step) });
+    const { scrollHeight } = await scrollAndMeasure(tabId, y);
+    // Past the deadline, stop following growth (infinite scroll feeds)
+    if (Date.now() < deadline) maxScroll = Math.max(maxScroll, scrollHeight);
+    if (!await waitForNetworkIdle(network, deadline, signal)) settled = false;
+  }
+
+  await scrollAndMeasure(tabId, maxScroll);
+  if (!await waitForNetworkIdle(network, deadline, signal)) settled = false;
+  await scrollAndMeasure(tabId, 0);
+  if (!await waitForNetworkIdle(network, deadline, signal)) settled = false;
+  checkSignal(signal);
+  if (!await waitForFontsAndImages(tabId, deadline)) settled = false;
+
+  return settled;
+}
+
+// ─── Page Content Extraction ───
+
+/**
+ * Runs inside the page (serialized via toString, so it must be self-contained).
+ * Collects the visible title, headings, CTA labels and price-like strings.
+ */
+function extractPageContentInPage() {
+  const clean = text => (text || '').replace(/\s+/g, ' ').trim();
+  const isVisible = (el) => {
+    const rect = el.getBoundingClientRect();
+    const style = getComputedStyle(el);
+    return rect.width > 0 && rect.height > 0 && style.visibility !== 'hidden' && style.display !== 'none';
+  };
+  const unique = (items, max) => [...new Set(items.filter(Boolean))].slice(0, max);
+  const textsOf = selector => Array.from(document.querySelectorAll(selector))
+    .filter(isVisible)
+    .map(el => clean(el.innerText || el.value || el.getAttribute('aria-label')));
+
+  const headings = unique(textsOf('h1, h2, h3'), 15);
+  const ctas = unique(
+    textsOf([
+      'button', '[role="button"]', 'input[type="submit"]', 'input[type="button"]',
+      'a[class*="btn"]', 'a[class*="button"]', 'a[class*="cta"]',
+    ].join(', ')).filter(text => text.length <= 60),
+    15
+  );
+
+  const bodyText = document.body ? document.body.innerText : '';
+  const pricePattern = /(?:[$€£¥]\s?\d[\d.,]*|\d[\d.,]*\s?(?:USD|EUR|GBP|CAD|AUD)\b)(?:\s?(?:\/|per)\s?(?:mo|month|yr|year|week|wk)\b)?/gi;
+  const prices = unique((bodyText.match(pricePattern) || []).map(clean), 15);
+
+  const meta = document.querySelector('meta[name="description"]');
+  return {
+    title: clean(document.title),
+    metaDescription: meta ? clean(meta.getAttribute('content')) : '',
+    headings,
+    ctas,
+    prices,
+  };
+}
+
+/**
+ * Extract headings, CTAs, prices and the document title from the page.
+ */
+async function extractPageContent(tabId) {
+  const result = await dbgSend(tabId, 'Runtime.evaluate', {
+    expression: `(${extractPageContentInPage.toString()})()`,
+    returnByValue: true,
+  });
+  return result?.result?.value || null;
+}
+
+// ─── Capture Environment ───
+
+/**
+ * Runs inside the page (serialized via toString, so it must be self-contained).
+ * Reads what the page saw while the profile was emulated.
+ */
+function readEnvironmentInPage() {
+  let documentLanguage = '';
+  try {
+    documentLanguage = Intl.getCanonicalLocales(document.documentElement.lang.trim())[0] || '';
+  } catch {
+    // Not a valid language tag; treated as undeclared
+  }
+  return {
+    userAgent: navigator.userAgent,
+    language: navigator.language,
+    documentLanguage,
+    timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+    viewport: `${window.innerWidth}x${window.innerHeight}`,
+    devicePixelRatio: window.devicePixelRatio,
+    finalUrl: location.href,
+  };
+}
+
+/**
+ * Full Chrome version of the browser itself; the page's user agent may be
+ * a profile override, and reduced user agents hide the minor version.
+ */
+async function browserVersion() {
+  try {
+    const { fullVersionList = [] } = await navigator.userAgentData.getHighEntropyValues(['fullVersionList']);
+    const brand = fullVersionList.find(entry => entry.brand === 'Google Chrome' || entry.brand === 'Chromium');
+    if (brand) return brand.version;
+  } catch {
+    // userAgentData is unavailable; fall back to the user agent string
+  }
+  const match = navigator.userAgent.match(/Chrome\/([\d.]+)/);
+  return match ? match[1] : '';
+}
+
+/**
+ * The browser, page and extension a capture was taken with, for the
+ * manifest and the optional overlay lines.
+ */
+async function readEnvironment(tabId) {
+  const result = await dbgSend(tabId, 'Runtime.evaluate', {
+    expression: `(${readEnvironmentInPage.toString()})()`,
+    returnByValue: true,
+  });
+  return {
+    chromeVersion: await browserVersion(),
+    extensionVersion: chrome.runtime.getManifest().version,
+    ...(result?.result?.value || {}),
+  };
+}
+
+// ─── Compliance Keyword Scan ───
+
+const MAX_KEYWORD_BOXES = 1000;
+
+/**
+ * Runs inside the page (serialized via toString, so it must be self-contained).
+ * Finds case-insensitive occurrences of each keyword in visible text and
+ * returns their boxes in page coordinates.
+ */
+function findKeywordMatchesInPage(keywords, maxBoxes) {
+  const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const patterns = keywords.map(keyword => ({ keyword, regex: new RegExp(escape(keyword), 'gi') }));
+  const skip = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'TEXTAREA']);
+  const visibility = new Map();
+  const isVisible = (el) => {
+    if (!visibility.has(el)) {
+      const style = getComputedStyle(el);
+      visibility.set(el, style.visibility !== 'hidden' && style.display !== 'none' && style.opacity !== '0');
+    }
+    return visibility.get(el);
+  };
+
+  const boxes = [];
+  const walker = document.createTreeWalker(document.body || document.documentElement, NodeFilter.SHOW_TEXT);
+  let node;
+  while ((node = walker.nextNode()) && boxes.length < maxBoxes) {
+    const parent = node.parentElement;
+    if (!parent || skip.has(parent.tagName) || !node.nodeValue.trim() || !isVisible(parent)) continue;
+
+    for (const { keyword, regex } of patterns) {
+      regex.lastIndex = 0;
+      let match;
+      while ((match = regex.exec(node.nodeValue)) && boxes.length < maxBoxes) {
+        const range = document.createRange();
+        range.setStart(node, match.index);
+        range.setEnd(node, match.index + match[0].length);
+        for (const rect of range.getClientRects()) {
+          if (rect.width === 0 || rect.height === 0) continue;
+          boxes.push({
+            keyword,
+            x: rect.left + window.scrollX,
+            y: rect.top + window.scrollY,
+            width: rect.width,
+            height: rect.height,
+          });
+        }
+      }
+    }
+  }
+  return boxes;
+}
+
+/**
+ * Scan the page's visible text for compliance keywords.
+ * Returns raw boxes in page coordinates; captureFullPage narrows them to the clip.
+ */
+async function findKeywordMatches(tabId, keywords) {
+  const result = await dbgSend(tabId, 'Runtime.evaluate', {
+    expression: `(${findKeywordMatchesInPage.toString()})(${JSON.stringify(keywords)}, ${MAX_KEYWORD_BOXES})`,
+    returnByValue: true,
+  });
+  return result?.result?.value || [];
+}
+
+// ─── Banner / Modal Dismissal ───
+
+const DISMISS_SETTLE_MS = 500; // ms for click handlers and close animations
+
+/**
+ * Runs inside the page (serialized via toString, so it must be self-contained).
+ * Applies each rule's click/hide/css actions and reports the rules that fired.
+ */
+function applyDismissalRulesInPage(rules) {
+  const query = (selector) => {
+    try {
+      return Array.from(document.querySelectorAll(selector));
+    } catch {
+      return []; // Invalid selector in a custom rule
+    }
+  };
+  // Consent wrappers are often zero-size with fixed-position children
+  const isShown = (el) => {
+    if (getComputedStyle(el).visibility === 'hidden') return false;
+    return [el, ...el.querySelectorAll('*')].some((node) => {
+      const rect = node.getBoundingClientRect();
+      return rect.width > 0 && rect.height > 0;
+    });
+  };
+
+  const fired = [];
+  for (const rule of rules) {
+    let clicked = 0;
+    let hidden = 0;
+
+    for (const selector of rule.click || []) {
+      const el = query(selector).find(isShown);
+      if (el) {
+        el.click();
+        clicked++;
+      }
+    }
+
+    for (const selector of rule.hide || []) {
+      for (const el of query(selector)) {
+        if (el.hasAttribute('data-exemplar-dismissed')) continue;
+        if (isShown(el)) hidden++;
+        el.setAttribute('data-exemplar-dismissed', JSON.stringify([
+          el.style.getPropertyValue('display'),
+          el.style.getPropertyPriority('display'),
+        ]));
+        el.style.setProperty('display', 'none', 'important');
+      }
+    }
+
+    // Generic rules only inject CSS when their banner was actually present
+    const css = !!rule.css && (clicked > 0 || hidden > 0 || !rule.hosts.includes('*'));
+    if (css) {
+      const style = document.createElement('style');
+      style.setAttribute('data-exemplar-dismissal', rule.id);
+      style.textContent = rule.css;
+      (document.head || document.documentElement).appendChild(style);
+    }
+
+    if (clicked > 0 || hidden > 0 || css) {
+      fired.push({ id: rule.id, clicked, hidden, css });
+    }
+  }
+  return fired;
+}
+
+/**
+ * Run the dismissal rules for this page. Returns the rules that fired.
+ */
+async function applyDismissalRules(tabId, rules) {
+  const result = await dbgSend(tabId, 'Runtime.evaluate', {
+    expression: `(${applyDismissalRulesInPage.toString()})(${JSON.stringify(rules)})`,
+    returnByValue: true,
+  });
+  const fired = result?.result?.value || [];
+  if (fired.some(rule => rule.clicked > 0)) await sleep(DISMISS_SETTLE_MS);
+  return fired;
+}
+
+/**
+ * Unhide dismissed elements and remove injected CSS. Clicks cannot be undone.
+ */
+async function restoreDismissals(tabId) {
+  await dbgSend(tabId, 'Runtime.evaluate', {
+    expression: `(() => {
+      document.querySelectorAll('[data-exemplar-dismissed]').forEach(el => {
+        const [value, priority] = JSON.parse(el.getAttribute('data-exemplar-dismissed'));
+        if (value) el.style.setProperty('display', value, priority);
+        else el.style.removeProperty('display');
+        el.removeAttribute('data-exemplar-dismissed');
+      });
+      document.querySelectorAll('style[data-exemplar-dismissal]').forEach(style => style.remove());
+    })()`,
+  });
+}
+
+// ─── Expand Collapsed Content ───
+
+const EXPAND_MAX_PASSES = 3;  // nested accordions reveal more toggles
+const EXPAND_SETTLE_MS = 400; // ms for expand animations between passes
+
+/**
+ * Runs inside the page (serialized via toString, so it must be self-contained).
+ * Opens <details>, activates aria-expanded="false" toggles and clicks the
+ * rule selectors, tagging each element so it can be collapsed again.
+ */
+async function expandCollapsedInPage(ruleSelectors, maxPasses, settleMs) {
+  const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+  const query = (selector) => {
+    try {
+      return Array.from(document.querySelectorAll(selector));
+    } catch {
+      return [];
+    }
+  };
+  const isVisible = (el) => {
+    const rect = el.getBoundingClientRect();
+    return rect.width > 0 && rect.height > 0 && getComputedStyle(el).visibility !== 'hidden';
+  };
+  // Menus and dropdowns also use aria-expanded; opening them covers content
+  const isDisclosureToggle = el => !el.closest('nav, header, [role="navigation"], [role="menu"], [role="menubar"]')
+    && !['combobox', 'menuitem', 'listbox', 'tab'].includes(el.getAttribute('role'))
+    && !['true', 'menu', 'listbox', 'dialog', 'tree', 'grid'].includes(el.getAttribute('aria-haspopup'));
+
+  const counts = { details: 0, toggles: 0, rules: 0 };
+  for (let pass = 0; pass < maxPasses; pass++) {
+    let expanded = 0;
+
+    for (const el of document.querySelectorAll('details:not([open]):not([data-exemplar-expanded])')) {
+      el.setAttribute('data-exemplar-expanded', 'details');
+      el.open = true;
+      counts.details++;
+      expanded++;
+    }
+
+    for (const el of document.querySelectorAll('[aria-expanded="false"]:not([data-exemplar-expanded])')) {
+      if (el.tagName === 'SUMMARY' || !isVisible(el) || !isDisclosureToggle(el)) continue;
+      el.setAttribute('data-exemplar-expanded', 'toggle');
+      el.click();
+      if (el.getAttribute('aria-expanded') === 'true') {
+        counts.toggles++;
+        expanded++;
+      }
+    }
+
+    for (const selector of ruleSelectors) {
+      for (const el of query(selector)) {
+        if (el.hasAttribute('data-exemplar-expanded') || !isVisible(el)) continue;
+        el.setAttribute('data-exemplar-expanded', 'rule');
+        el.click();
+        counts.rules++;
+        expanded++;
+      }
+    }
+
+    if (expanded === 0) break;
+    await delay(settleMs);
+  }
+  return counts;
+}
+
+/**
+ * Expand collapsed content. Returns { details, toggles, rules, total }.
+ */
+async function expandCollapsedContent(tabId, ruleSelectors) {
+  const result = await dbgSend(tabId, 'Runtime.evaluate', {
+    expression: `(${expandCollapsedInPage.toString()})(${JSON.stringify(ruleSelectors)}, ${EXPAND_MAX_PASSES}, ${EXPAND_SETTLE_MS})`,
+    awaitPromise: true,
+    returnByValue: true,
+  });
+  const counts = result?.result?.value || { details: 0, toggles: 0, rules: 0 };
+  return { ...counts, total: counts.details + counts.toggles + counts.rules };
+}
+
+/**
+ * Collapse what was expanded, innermost first. Toggles still expanded are
+ * clicked again; "show more" buttons that removed themselves cannot be undone.
+ */
+async function restoreCollapsedContent(tabId) {
+  await dbgSend(tabId, 'Runtime.evaluate', {
+    expression: `Array.from(document.querySelectorAll('[data-exemplar-expanded]')).reverse().forEach(el => {
+      const kind = el.getAttribute('data-exemplar-expanded');
+      el.removeAttribute('data-exemplar-expanded');
+      if (kind === 'details') {
+        el.open = false;
+      } else if (el.isConnected && el.getAttribute('aria-expanded') === 'true') {
+        el.click();
+      }
+    })`,
+  });
+}
+
+// ─── Fixed / Sticky Elements ───
+
+/**
+ * Find position: fixed / sticky elements and tag them so they can be
+ * hidden and restored later.  Returns the number of elements found.
+ */
+async function markFixedElements(tabId) {
+  const result = await dbgSend(tabId, 'Runtime.evaluate', {
+    expression: `(() => {
+      let count = 0;
+      for (const el of document.querySelectorAll('body *')) {
+        const position = getComputedStyle(el).position;
+        if (position === 'fixed' || position === 'sticky') {
+          el.setAttribute('data-exemplar-fixed', '');
+          count++;
+        }
+      }
+      return count;
+    })()`,
+    returnByValue: true,
+  });
+  return result?.result?.value || 0;
+}
+
+/**
+ * Hide the tagged elements with visibility (not display) so the page
+ * layout, and therefore the measured height, does not change.
+ */
+async function hideFixedElements(tabId) {
+  await dbgSend(tabId, 'Runtime.evaluate', {
+    expression: `document.querySelectorAll('[data-exemplar-fixed]:not([data-exemplar-hidden])').forEach(el => {
+      el.setAttribute('data-exemplar-hidden', JSON.stringify([
+        el.style.getPropertyValue('visibility'),
+        el.style.getPropertyPriority('visibility'),
+      ]));
+      el.style.setProperty('visibility', 'hidden', 'important');
+    })`,
+  });
+}
+
+/**
+ * Restore hidden elements to their original inline style and remove the tags.
+ */
+async function restoreFixedElements(tabId) {
+  await dbgSend(tabId, 'Runtime.evaluate', {
+    expression: `document.querySelectorAll('[data-exemplar-fixed]').forEach(el => {
+      const saved = el.getAttribute('data-exemplar-hidden');
+      if (saved !== null) {
+        const [value, priority] = JSON.parse(saved);
+        if (value) el.style.setProperty('visibility', value, priority);
+        else el.style.removeProperty('visibility');
+      }
+      el.removeAttribute('data-exemplar-hidden');
+      el.removeAttribute('data-exemplar-fixed');
+    })`,
+  });
+}
+
+// ─── Element / Region Targets ───
+
+/**
+ * Resolve an element or region target to a rectangle in page CSS px.
+ */
+async function resolveTargetRect(tabId, target) {
+  if (target.type === CAPTURE_TARGETS.REGION) {
+    return target.rect;
+  }
+
+  const result = await dbgSend(tabId, 'Runtime.evaluate', {
+    expression: `(() => {
+      const el = document.querySelector(${JSON.stringify(target.selector)});
+      if (!el) return null;
+      const r = el.getBoundingClientRect();
+      return { x: r.left + window.scrollX, y: r.top + window.scrollY, width: r.width, height: r.height };
+    })()`,
+    returnByValue: true,
+  });
+  if (result.exceptionDetails) {
+    throw new Error(`Invalid selector: ${target.selector}`);
+  }
+  const rect = result?.result?.value;
+  if (!rect) throw new Error(`No element matches: ${target.selector}`);
+  return rect;
+}
+
+/**
+ * Short human-readable target summary for the overlay and manifest.
+ */
+export function describeTarget(target) {
+  if (!target || target.type === CAPTURE_TARGETS.FULL_PAGE) return 'Full page';
+  if (target.type === CAPTURE_TARGETS.ELEMENT) return `Element: ${target.selector}`;
+  const { x, y, width, height } = target.rect;
+  return `Region: ${x},${y} ${width}×${height}`;
+}
+
+// ─── Native PDF (Page.printToPDF) ───
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Compliance header for printed pages, carrying the session metadata.
+ * Chrome renders header/footer templates with a tiny default font, so
+ * every template sets its own font size.
+ */
+function buildPrintHeaderTemplate(metadata) {
+  const fields = [];
+  if (metadata.flowOrSetName) {
+    fields.push([metadata.mode === 'flow' ? 'Flow' : 'Set', metadata.flowOrSetName]);
+  }
+  if (metadata.stepOrIndex !== undefined) {
+    fields.push([metadata.mode === 'flow' ? 'Step' : 'Index', metadata.stepOrIndex]);
+  }
+  if (metadata.pageName) fields.push(['Page', metadata.pageName]);
+  if (metadata.loginState) {
+    fields.push(['State', metadata.loginState === 'logged-in' ? 'Logged In' : 'Logged Out']);
+  }
+  if (metadata.profile) fields.push(['Profile', metadata.profile]);
+  if (metadata.language) fields.push(['Language', metadata.language]);
+  if (metadata.region) fields.push(['Region', metadata.region]);
+  if (metadata.version) fields.push(['Version', metadata.version]);
+  if (metadata.timestamp) fields.push(['Captured', metadata.timestamp]);
+
+  const items = fields
+    .map(([label, value]) => `<span style="color:#6b6b6b">${escapeHtml(label)}:</span> ${escapeHtml(value)}`)
+    .join(' &nbsp;|&nbsp; ');
+  return `<div style="width:100%;font-size:8px;font-family:monospace;padding:0 0.4in;color:#111">${items}</div>`;
+}
+
+function buildPrintFooterTemplate(metadata) {
+  return `<div style="width:100%;font-size:8px;font-family:monospace;padding:0 0.4in;color:#6b6b6b;display:flex;justify-content:space-between">`
+    + `<span>${escapeHtml(metadata.fullURL || metadata.urlPath || '')}</span>`
+    + `<span>Page <span class="pageNumber"></span> of <span class="totalPages"></span></span>`
+    + `</div>`;
+}
+
+/**
+ * Print the page to a text-searchable PDF with the given media emulation.
+ * @returns {Promise<string>} PDF as a data URI string.
+ */
+async function printPageToPdf(tabId, { media, metadata }) {
+  await dbgSend(tabId, 'Emulation.setEmulatedMedia', { media });
+  try {
+    const result = await dbgSend(tabId, 'Page.printToPDF', {
+      printBackground: true,
+      displayHeaderFooter: true,
+      headerTemplate: buildPrintHeaderTemplate(metadata),
+      footerTemplate: buildPrintFooterTemplate(metadata),
+      marginTop: 0.8,
+      marginBottom: 0.6,
+      marginLeft: 0.4,
+      marginRight: 0.4,
+    });
+    return `data:application/pdf;base64,${result.data}`;
+  } finally {
+    await dbgSend(tabId, 'Emulation.setEmulatedMedia', { media: '' });
+  }
+}
+
 // ─── Full-Page Capture via DevTools Protocol ───
 
 /**
  * Capture a full-page screenshot using the Chrome DevTools Protocol.
  *
- * Strategy — **always** split into small vertical clips (≤ 4 000 CSS px
- * each at scale 1).  This keeps each bitmap well under even the most
+ * Strategy — **always** split into small vertical clips (≤ 4 000 device
+ * px each).  This keeps each bitmap well under even the most
  * conservative GPU texture limit (4 096 px) and avoids the viewport-
  * override approach which can distort 100 vh elements or silently
  * truncate on GPUs with a low max-texture-size.
  *
  * 1. Attach debugger
- * 2. Pre-scroll (half-viewport steps) to trigger lazy content
- * 3. Measure page height from both CDP and DOM (take the larger)
- * 4. Capture in vertical clips with captureBeyondViewport: true
- * 5. Detach
+ * 2. Emulate the capture profile (width, DPR, mobile, touch, user agent)
+ * 3. Apply banner/modal dismissal rules, optionally expand collapsed
+ *    content (details, accordions, rule selectors), then pre-scroll (half-viewport
+ *    steps) to trigger lazy content, waiting for network idle after each
+ *    step and for fonts and images at the end (bounded by a timeout)
+ * 4. Extract page content (title, headings, CTAs, prices) and apply
+ *    the fixed/sticky element policy
+ * 5. Measure page height from both CDP and DOM (take the larger)
+ *    and, for element/region targets, resolve the clip rectangle
+ * 6. Capture in vertical clips with captureBeyondViewport: true
+ * 7. Restore fixed elements, then optionally save an MHTML archive
+ *    (Page.captureSnapshot) and print a native, text-searchable PDF
+ *    (Page.printToPDF) of the page as captured
+ * 8. Restore dismissed banners and collapsed content, clear emulation
+ * 9. Detach
  *
- * @returns {{ parts, cssWidth, cssHeight, devicePixelRatio: 1 }}
+ * Progress is reported per phase (PROGRESS_PHASES). Aborting the signal
+ * stops at the next step with an AbortError; the page is restored, the
+ * emulation cleared and the debugger detached as on any failure.
+ *
+ * @param {number} tabId
+ * @param {object} [options]
+ * @param {object} [options.profile] - Entry from CAPTURE_PROFILES (defaults to desktop).
+ * @param {object} [options.region] - Entry from REGION_PRESETS (defaults to none). Any other
+ *   preset's overrides are applied and the page reloaded before capture; the page
+ *   keeps the region's rendering afterwards (see reloadAfterRegion).
+ * @param {string} [options.fixedElementPolicy] - One of FIXED_ELEMENT_POLICIES (defaults to keep-top).
+ * @param {object} [options.target] - { type: 'element', selector } or { type: 'region', rect }
+ *   to capture only that bounding box (defaults to the full page).
+ * @param {object} [options.nativePdf] - { media: 'print' | 'screen', metadata } to also
+ *   print the whole page with Page.printToPDF; metadata fills the header/footer.
+ * @param {boolean} [options.archive] - Also capture an MHTML snapshot of the page.
+ * @param {string[]} [options.keywords] - Compliance keywords to look for in the visible text.
+ * @param {Array} [options.dismissalRules] - Rules for this page (see lib/dismissal-rules.js).
+ * @param {boolean} [options.expandCollapsed] - Open details/accordions and click the rules'
+ *   `expand` selectors before capture; collapsed again afterwards.
+ * @param {number} [options.settleTimeoutMs] - Upper bound on waiting for the page to settle.
+ * @param {Function} [options.onProgress] - Receives { phase, current, total }; the counts
+ *   are set for the settling and capturing phases.
+ * @param {AbortSignal} [options.signal] - Cancels the capture.
+ * @returns {{ parts, cssWidth, cssHeight, devicePixelRatio, profile, region, fixedElements, target, clip, nativePdf, archive, pageContent, environment, keywordMatches, dismissals, expanded, settle }}
+ *   environment is { chromeVersion, extensionVersion, userAgent, language, documentLanguage, timezone,
+ *   viewport, devicePixelRatio, finalUrl } as seen under the profile, or null if it could not be read;
+ *   documentLanguage is the page's canonicalized `<html lang>`, or '' when it has none;
+ *   expanded is { details, toggles, rules, total } or null when not requested;
+ *   settle is { requests, waitMs, timedOut } for the settling phase;
+ *   nativePdf is { dataUrl } on success, { error } if printing failed, or null when not requested;
+ *   archive is { mhtml } / { error } / null likewise.
  */
-export async function captureFullPage(tabId) {
+export async function captureFullPage(tabId, options = {}) {
+  const profile = options.profile || CAPTURE_PROFILES[DEFAULT_PROFILE];
+  const region = options.region || REGION_PRESETS[DEFAULT_REGION];
+  const target = options.target || { type: CAPTURE_TARGETS.FULL_PAGE };
+  const fixedPolicy = options.fixedElementPolicy || FIXED_ELEMENT_POLICIES.KEEP_TOP;
+  const dpr = profile.deviceScaleFactor || 1;
+  const { signal, onProgress = () => {} } = options;
+  let emulated = false;
+  let fixedCount = 0;
+  let fixedMarked = false;
+  let dismissals = [];
+  let dismissalsApplied = false;
+  let expanded = null;
+  let expandApplied = false;
+  let network = null;
+
+  checkSignal(signal);
+  onProgress({ phase: PROGRESS_PHASES.PREPARING });
   await dbgAttach(tabId);
 
   try {
     // Enable required domains
     await dbgSend(tabId, 'Page.enable');
     await dbgSend(tabId, 'Runtime.enable');
+    network = await trackNetwork(tabId);
+
+    // ── Emulate the capture profile ──
+    // Profiles without a fixed height keep the current viewport height
+    let viewportHeight = profile.height;
+    if (!viewportHeight) {
+      const viewportResult = await dbgSend(tabId, 'Runtime.evaluate', {
+        expression: 'window.innerHeight',
+        returnByValue: true,
+      });
+      viewportHeight = viewportResult?.result?.value || 900;
+    }
 
-    // ── Set viewport to fixed 1440px width ──
-    // Get current viewport height to preserve it
-    const viewportResult = await dbgSend(tabId, 'Runtime.evaluate', {
-      expression: 'window.innerHeight',
-      returnByValue: true,
-    });
-    const viewportHeight = viewportResult?.result?.value || 900;
-
+    emulated = true; // Set first: a partial override still needs clearing
     await dbgSend(tabId, 'Emulation.setDeviceMetricsOverride', {
-      mobile: false,
-      width: CAPTURE_WIDTH,
+      mobile: !!profile.mobile,
+      width: profile.width,
       height: viewportHeight,
-      deviceScaleFactor: 1,
+      deviceScaleFactor: dpr,
     });
+    await dbgSend(tabId, 'Emulation.setTouchEmulationEnabled', {
+      enabled: !!profile.touch,
+      maxTouchPoints: profile.touch ? 5 : 1,
+    });
+    if (profile.userAgent || region.acceptLanguage) {
+      // Accept-Language can only be set along with a user agent
+      await dbgSend(tabId, 'Emulation.setUserAgentOverride', {
+        userAgent: profile.userAgent || navigator.userAgent,
+        ...(region.acceptLanguage ? { acceptLanguage: region.acceptLanguage } : {}),
+      });
+    }
+    await emulateRegion(tabId, region);
 
-    // Wait for layout to settle after viewport change
-    await sleep(300);
+    const settleStart = Date.now();
+    const deadline = settleStart + (options.settleTimeoutMs || DEFAULT_SETTLE_TIMEOUT_MS);
 
-    // ── Pre-scroll to trigger lazy-loaded content ──
-    await dbgSend(tabId, 'Runtime.evaluate', {
-      expression: `(async () => {
-        const delay = ms => new Promise(r => setTimeout(r, ms));
-        const vh = window.innerHeight;
-        const step = Math.max(Math.floor(vh / 2), 200);
-        let maxScroll = Math.max(
-          document.documentElement.scrollHeight,
-          document.body ? document.body.scrollHeight : 0
-        );
-        for (let y = 0; y <= maxScroll; y += step) {
-          window.scrollTo(0, y);
-          await delay(${PRE_SCROLL_STEP_DELAY});
-          const newMax = Math.max(
-            document.documentElement.scrollHeight,
-            document.body ? document.body.scrollHeight : 0
-          );
-          if (newMax > maxScroll) maxScroll = newMax;
-        }
-        window.scrollTo(0, document.documentElement.scrollHeight);
-        await delay(${LAZY_SETTLE_MS});
-        window.scrollTo(0, 0);
-        await delay(${SCROLL_TOP_SETTLE});
-      })()`,
-      awaitPromise: true,
-      returnByValue: true,
-    });
+    // ── Reload so the page is served and rendered for the region ──
+    if (region.id !== DEFAULT_REGION) {
+      await reloadPage(tabId, deadline);
+      checkSignal(signal);
+    }
+
+    // Wait for requests triggered by the viewport change (responsive images)
+    await waitForNetworkIdle(network, deadline, signal);
+    checkSignal(signal);
+
+    // ── Dismiss consent banners / modals before lazy-loading ──
+    if (options.dismissalRules && options.dismissalRules.length > 0) {
+      dismissals = await applyDismissalRules(tabId, options.dismissalRules);
+      dismissalsApplied = dismissals.length > 0;
+    }
+
+    // ── Expand collapsed content so lazy loading and capture include it ──
+    if (options.expandCollapsed) {
+      const ruleSelectors = (options.dismissalRules || []).flatMap(rule => rule.expand || []);
+      expandApplied = true; // Set first: a partial expansion still needs restoring
+      expanded = await expandCollapsedContent(tabId, ruleSelectors);
+    }
+
+    // ── Pre-scroll to trigger lazy-loaded content, then settle ──
+    const settled = await settlePage(tabId, network, deadline, { signal, onProgress });
+    checkSignal(signal);
+    const settle = {
+      requests: network.requestCount,
+      waitMs: Date.now() - settleStart,
+      timedOut: !settled,
+    };
+
+    // ── Page content for description suggestions ──
+    // Read before fixed elements are hidden; never fatal to the capture.
+    let pageContent = null;
+    try {
+      pageContent = await extractPageContent(tabId);
+    } catch (err) {
+      console.warn('Page content extraction failed:', err);
+    }
+
+    // Read while the profile is still emulated; never fatal either.
+    let environment = null;
+    try {
+      environment = await readEnvironment(tabId);
+    } catch (err) {
+      console.warn('Environment read failed:', err);
+    }
+
+    let keywordBoxes = [];
+    if (options.keywords && options.keywords.length > 0) {
+      try {
+        keywordBoxes = await findKeywordMatches(tabId, options.keywords);
+      } catch (err) {
+        console.warn('Keyword scan failed:', err);
+      }
+    }
+
+    // ── Fixed / sticky elements ──
+    // Found after pre-scrolling so late-loading widgets are included.
+    if (fixedPolicy !== FIXED_ELEMENT_POLICIES.AS_IS) {
+      fixedCount = await markFixedElements(tabId);
+      fixedMarked = fixedCount > 0;
+      if (fixedPolicy === FIXED_ELEMENT_POLICIES.HIDE && fixedCount > 0) {
+        await hideFixedElements(tabId);
+      }
+    }
 
     // ── Measure full page dimensions ──
     const layout = await dbgSend(tabId, 'Page.getLayoutMetrics');
     const contentSize = layout.cssContentSize || layout.contentSize;
     const domDims = await getDomDimensions(tabId);
 
-    const cssWidth = CAPTURE_WIDTH;
-    const cssHeight = Math.max(Math.ceil(contentSize.height), domDims.scrollHeight);
+    const pageWidth = profile.width;
+    const pageHeight = Math.max(Math.ceil(contentSize.height), domDims.scrollHeight);
+
+    // ── Clip area: the whole page, or the target's bounding box ──
+    let clip = { x: 0, y: 0, width: pageWidth, height: pageHeight };
+    if (target.type !== CAPTURE_TARGETS.FULL_PAGE) {
+      const rect = await resolveTargetRect(tabId, target);
+      const x = Math.max(0, Math.floor(rect.x));
+      const y = Math.max(0, Math.floor(rect.y));
+      clip = {
+        x,
+        y,
+        width: Math.min(Math.ceil(rect.width), pageWidth - x),
+        height: Math.min(Math.ceil(rect.height), pageHeight - y),
+      };
+      if (clip.width <= 0 || clip.height <= 0) {
+        throw new Error('Capture target is empty or outside the page.');
+      }
+    }
+
+    const cssWidth = clip.width;
+    const cssHeight = clip.height;
+
+    // Only keywords inside the captured area count
+    const boxesInClip = keywordBoxes.filter(box =>
+      box.x + box.width > clip.x && box.x < clip.x + clip.width &&
+      box.y + box.height > clip.y && box.y < clip.y + clip.height
+    );
+    const keywordMatches = {
+      found: (options.keywords || []).filter(kw => boxesInClip.some(box => box.keyword === kw)),
+      boxes: boxesInClip,
+    };
 
     // ── Capture in small vertical clips ──
+    // Chunk height is in CSS px, sized so each bitmap stays ≤ MAX_CHUNK_HEIGHT device px
+    const chunkHeight = Math.floor(MAX_CHUNK_HEIGHT / dpr);
     const parts = [];
-    const numChunks = Math.ceil(cssHeight / MAX_CHUNK_HEIGHT);
+    const numChunks = Math.ceil(cssHeight / chunkHeight);
+    let fixedHidden = false;
 
     for (let i = 0; i < numChunks; i++) {
-      const clipY = i * MAX_CHUNK_HEIGHT;
-      const clipH = Math.min(MAX_CHUNK_HEIGHT, cssHeight - clipY);
+      checkSignal(signal);
+      onProgress({ phase: PROGRESS_PHASES.CAPTURING, current: i + 1, total: numChunks });
+
+      const clipY = i * chunkHeight;
+      const clipH = Math.min(chunkHeight, cssHeight - clipY);
+
+      // Keep-top: fixed elements appear only in a clip at the top of the page
+      if (fixedPolicy === FIXED_ELEMENT_POLICIES.KEEP_TOP && fixedCount > 0
+          && !fixedHidden && clip.y + clipY > 0) {
+        await hideFixedElements(tabId);
+        fixedHidden = true;
+      }
 
       const screenshot = await dbgSend(tabId, 'Page.captureScreenshot', {
         format: 'png',
         captureBeyondViewport: true,
-        clip: { x: 0, y: clipY, width: cssWidth, height: clipH, scale: 1 },
+        clip: { x: clip.x, y: clip.y + clipY, width: cssWidth, height: clipH, scale: 1 },
       });
       parts.push({
         dataUrl: `data:image/png;base64,${screenshot.data}`,
-        width: cssWidth,
-        height: clipH,
+        width: Math.round(cssWidth * dpr),
+        height: Math.round(clipH * dpr),
         cssY: clipY,
         cssHeight: clipH,
       });
     }
 
-    // ── Restore original viewport ──
-    await dbgSend(tabId, 'Emulation.clearDeviceMetricsOverride');
+    // ── MHTML archive and native PDF ──
+    // Taken while the profile, region and dismissals still apply, so they
+    // show the page that was screenshotted. The fixed-element tags are
+    // undone first; they belong to the clips only.
+    // Optional artifacts: a failure here must not lose the screenshots.
+    onProgress({ phase: PROGRESS_PHASES.FINISHING });
+    if (fixedMarked) {
+      await restoreFixedElements(tabId);
+      fixedMarked = false;
+    }
+    let archive = null;
+    if (options.archive) {
+      checkSignal(signal);
+      try {
+        const snapshot = await dbgSend(tabId, 'Page.captureSnapshot', { format: 'mhtml' });
+        archive = { mhtml: snapshot.data };
+      } catch (err) {
+        console.warn('Page.captureSnapshot failed:', err);
+        archive = { error: err.message };
+      }
+    }
+
+    let nativePdf = null;
+    if (options.nativePdf) {
+      checkSignal(signal);
+      try {
+        // A language left to the page is known only now
+        const metadata = { ...options.nativePdf.metadata };
+        if (!metadata.language && environment) metadata.language = environment.documentLanguage;
+        nativePdf = { dataUrl: await printPageToPdf(tabId, { ...options.nativePdf, metadata }) };
+      } catch (err) {
+        console.warn('Page.printToPDF failed:', err);
+        nativePdf = { error: err.message };
+      }
+    }
+
+    // ── Restore dismissed banners, collapsed content and original viewport ──
+    if (dismissalsApplied) {
+      await restoreDismissals(tabId);
+      dismissalsApplied = false;
+    }
+    if (expandApplied) {
+      await restoreCollapsedContent(tabId);
+      expandApplied = false;
+    }
+    await clearEmulation(tabId, profile, region);
+    emulated = false;
 
     return {
       parts,
       cssWidth,
       cssHeight,
-      devicePixelRatio: 1,
+      devicePixelRatio: dpr,
+      profile,
+      region,
+      fixedElements: { policy: fixedPolicy, count: fixedCount },
+      target,
+      clip,
+      nativePdf,
+      archive,
+      pageContent,
+      environment,
+      keywordMatches,
+      dismissals,
+      expanded,
+      settle,
     };
   } finally {
+    // Leave the page as we found it if capture failed part-way
+    if (fixedMarked) {
+      await restoreFixedElements(tabId).catch(() => {});
+    }
+    if (dismissalsApplied) {
+      await restoreDismissals(tabId).catch(() => {});
+    }
+    if (expandApplied) {
+      await restoreCollapsedContent(tabId).catch(() => {});
+    }
+    if (emulated) {
+      await clearEmulation(tabId, profile, region).catch(() => {});
+    }
+    if (network) network.dispose();
     await dbgDetach(tabId);
   }
 }
 
+/**
+ * Apply a region preset's locale, timezone and geolocation overrides
+ * (Accept-Language goes with the user agent override).
+ */
+async function emulateRegion(tabId, region) {
+  if (region.locale) {
+    await dbgSend(tabId, 'Emulation.setLocaleOverride', { locale: region.locale });
+  }
+  if (region.timezone) {
+    await dbgSend(tabId, 'Emulation.setTimezoneOverride', { timezoneId: region.timezone });
+  }
+  if (region.geolocation) {
+    await dbgSend(tabId, 'Emulation.setGeolocationOverride', region.geolocation);
+  }
+}
+
+/**
+ * Undo the capture profile's and region preset's emulation overrides.
+ * The page keeps what it rendered for the region until it is reloaded
+ * (capturePage does so once every profile is captured).
+ */
+async function clearEmulation(tabId, profile, region) {
+  await dbgSend(tabId, 'Emulation.clearDeviceMetricsOverride');
+  await dbgSend(tabId, 'Emulation.setTouchEmulationEnabled', { enabled: false });
+  if (profile.userAgent || region.acceptLanguage) {
+    await dbgSend(tabId, 'Emulation.setUserAgentOverride', { userAgent: '' });
+  }
+  if (region.locale) {
+    await dbgSend(tabId, 'Emulation.setLocaleOverride', {});
+  }
+  if (region.timezone) {
+    await dbgSend(tabId, 'Emulation.setTimezoneOverride', { timezoneId: '' });
+  }
+  if (region.geolocation) {
+    await dbgSend(tabId, 'Emulation.clearGeolocationOverride');
+  }
+}
+
+/**
+ * Short human-readable profile summary, e.g. "Mobile (390px @3x)".
+ */
+export function describeProfile(profile) {
+  return `${profile.label} (${profile.width}px @${profile.deviceScaleFactor || 1}x)`;
+}
+
+/**
+ * Region preset summary, e.g. "Germany (de-DE, Europe/Berlin, 52.52,13.405)".
+ */
+export function describeRegion(region) {
+  if (!region || region.id === DEFAULT_REGION) return region ? region.label : '';
+  const values = [region.locale, region.timezone, formatGeolocation(region.geolocation)].filter(Boolean);
+  return `${region.label} (${values.join(', ')})`;
+}
+
+/**
+ * "latitude,longitude" of a geolocation override, or '' for none.
+ */
+export function formatGeolocation(geolocation) {
+  return geolocation ? `${geolocation.latitude},${geolocation.longitude}` : '';
+}
+
 // ─── Image Helpers ───
 
 function loadImage(dataUrl) {
@@ -261,13 +1279,89 @@ export async function stitchPartsToCanvas(canvas, parts) {
   return { width: canvas.width, height: canvas.height };
 }
 
+/**
+ * Split capture parts into tiles that each fit within MAX_CANVAS_HEIGHT,
+ * stitching consecutive parts onto one canvas per tile.
+ *
+ * @param {Array} parts - Parts as returned by captureFullPage.
+ * @param {number} [firstTileReserve] - Height to keep free on the first tile
+ *   (e.g. for the overlay header drawn afterwards).
+ * @returns {Promise<HTMLCanvasElement[]>} Tiles in top-to-bottom order.
+ */
+export async function stitchPartsToTiles(parts, firstTileReserve = 0) {
+  const groups = [];
+  let current = [];
+  let currentHeight = 0;
+
+  for (const part of parts) {
+    const budget = MAX_CANVAS_HEIGHT - (groups.length === 0 ? firstTileReserve : 0);
+    if (current.length > 0 && currentHeight + part.height > budget) {
+      groups.push(current);
+      current = [];
+      currentHeight = 0;
+    }
+    current.push(part);
+    currentHeight += part.height;
+  }
+  if (current.length > 0) groups.push(current);
+
+  const tiles = [];
+  for (const group of groups) {
+    const canvas = document.createElement('canvas');
+    await stitchPartsToCanvas(canvas, group);
+    tiles.push(canvas);
+  }
+  return tiles;
+}
+
+// ─── Keyword Highlights ───
+
+/**
+ * Draw boxes around keyword matches on copies of the capture tiles.
+ * The originals are left untouched so the plain PNG/PDF stay unannotated.
+ *
+ * @param {HTMLCanvasElement[]} tiles - Tiles with the overlay header already drawn.
+ * @param {Array} boxes - keywordMatches.boxes from captureFullPage (page CSS px).
+ * @param {object} geometry - { clip, devicePixelRatio, headerHeight } of the capture.
+ * @returns {HTMLCanvasElement[]} Annotated tile copies.
+ */
+export function drawKeywordHighlights(tiles, boxes, { clip, devicePixelRatio, headerHeight }) {
+  const dpr = devicePixelRatio || 1;
+  const pad = 2 * dpr;
+  let tileTop = 0;
+
+  return tiles.map((tile) => {
+    const copy = document.createElement('canvas');
+    copy.width = tile.width;
+    copy.height = tile.height;
+    const ctx = copy.getContext('2d');
+    ctx.drawImage(tile, 0, 0);
+    ctx.strokeStyle = OVERLAY.HIGHLIGHT_COLOR;
+    ctx.fillStyle = OVERLAY.HIGHLIGHT_FILL;
+    ctx.lineWidth = Math.max(2, Math.round(2 * dpr));
+
+    for (const box of boxes) {
+      const x = (box.x - clip.x) * dpr - pad;
+      const y = (box.y - clip.y) * dpr + headerHeight - tileTop - pad;
+      const width = box.width * dpr + pad * 2;
+      const height = box.height * dpr + pad * 2;
+      if (y + height < 0 || y > copy.height) continue;
+      ctx.fillRect(x, y, width, height);
+      ctx.strokeRect(x, y, width, height);
+    }
+
+    tileTop += tile.height;
+    return copy;
+  });
+}
+
 // ─── Header Overlay (prepended above page content) ───
 
 /**
- * Prepend a full-width compliance header strip ABOVE the page content.
- * The canvas is expanded vertically; the original screenshot is shifted down.
+ * Lay out the header lines for a canvas of the given width.
+ * Shared by drawOverlay and measureOverlayHeight so both agree on the height.
  */
-export function drawOverlay(canvas, metadata) {
+function layoutOverlay(ctx, canvasWidth, metadata) {
   const dpr = metadata.devicePixelRatio || 1;
 
   const fontSize = Math.round(OVERLAY.FONT_SIZE * dpr);
@@ -276,9 +1370,8 @@ export function drawOverlay(canvas, metadata) {
   const separatorHeight = Math.max(1, Math.round(dpr));
 
   // Helper to wrap text if it exceeds max width
-  const ctx = canvas.getContext('2d');
   ctx.font = `${fontSize}px ${OVERLAY.FONT_FAMILY}`;
-  const maxWidth = canvas.width - padding * 2;
+  const maxWidth = canvasWidth - padding * 2;
 
   function wrapText(label, value) {
     const labelWidth = ctx.measureText(label).width;
@@ -342,6 +1435,15 @@ export function drawOverlay(canvas, metadata) {
     const state = metadata.loginState === 'logged-in' ? 'Logged In' : 'Logged Out';
     lineData.push(...wrapText('State:', state));
   }
+  if (metadata.profile) {
+    lineData.push(...wrapText('Profile:', metadata.profile));
+  }
+  if (metadata.language) {
+    lineData.push(...wrapText('Language:', metadata.language));
+  }
+  if (metadata.region) {
+    lineData.push(...wrapText('Region:', metadata.region));
+  }
   if (metadata.version) {
     lineData.push(...wrapText('Version:', metadata.version));
   }
@@ -351,8 +1453,39 @@ export function drawOverlay(canvas, metadata) {
   if (metadata.urlPath) {
     lineData.push(...wrapText('Path:', metadata.urlPath));
   }
+  if (metadata.target) {
+    lineData.push(...wrapText('Target:', metadata.target));
+  }
+  if (metadata.environment) {
+    const env = metadata.environment;
+    lineData.push(...wrapText('Browser:', `Chrome ${env.chromeVersion}, extension ${env.extensionVersion}`));
+    lineData.push(...wrapText('Viewport:', `${env.viewport} @${env.devicePixelRatio}x, ${env.timezone}, ${env.language}`));
+    lineData.push(...wrapText('Agent:', env.userAgent));
+    lineData.push(...wrapText('Final URL:', env.finalUrl));
+  }
 
   const headerHeight = lineData.length * lineHeight + padding * 2 + separatorHeight;
+  return { lineData, headerHeight, fontSize, lineHeight, padding, separatorHeight };
+}
+
+/**
+ * Height in pixels that drawOverlay will add above content of the given width.
+ */
+export function measureOverlayHeight(canvasWidth, metadata) {
+  const ctx = document.createElement('canvas').getContext('2d');
+  return layoutOverlay(ctx, canvasWidth, metadata).headerHeight;
+}
+
+/**
+ * Prepend a full-width compliance header strip ABOVE the page content.
+ * The canvas is expanded vertically; the original screenshot is shifted down.
+ * Returns the header height in pixels.
+ */
+export function drawOverlay(canvas, metadata) {
+  const ctx = canvas.getContext('2d');
+  const {
+    lineData, headerHeight, fontSize, lineHeight, padding, separatorHeight,
+  } = layoutOverlay(ctx, canvas.width, metadata);
 
   // Save existing page screenshot to a temp canvas
   const tempCanvas = document.createElement('canvas');
@@ -399,50 +1532,68 @@ export function drawOverlay(canvas, metadata) {
 
   // Draw original page content below the header
   ctx.drawImage(tempCanvas, 0, headerHeight);
+  return headerHeight;
 }
 
 // ─── PDF Generation ───
 
 /**
- * Generate a multi-page PDF with A4-ratio pages from the captured parts.
+ * PDF text string for a document information entry: as-is when printable
+ * ASCII, otherwise UTF-16BE with a byte order mark, one character per byte
+ * as jsPDF writes strings.
+ */
+function pdfInfoText(value) {
+  const text = pdfSafeText(value);
+  if (/^[\x20-\x7e]*$/.test(text)) return text;
+  let encoded = '\u00fe\u00ff';
+  for (let i = 0; i < text.length; i++) {
+    const unit = text.charCodeAt(i);
+    encoded += String.fromCharCode(unit >> 8, unit & 0xff);
+  }
+  return encoded;
+}
+
+/**
+ * Fill a jsPDF document's information dictionary: the standard entries and
+ * custom ones. Empty values are left out.
+ */
+function setPdfProperties(pdf, { title, subject, author, keywords, creator, properties = [] }) {
+  const standard = Object.entries({ title, subject, author, keywords, creator }).filter(([, value]) => value);
+  pdf.setDocumentProperties(Object.fromEntries(standard.map(([key, value]) => [key, pdfInfoText(value)])));
+
+  // jsPDF writes every entry of its document properties object into the
+  // dictionary, but setDocumentProperties only accepts the standard ones
+  const info = pdf.__private__.getDocumentProperties();
+  for (const [name, value] of properties) {
+    if (value !== undefined && value !== '') info[name] = pdfInfoText(value);
+  }
+}
+
+/**
+ * Generate a multi-page PDF with A4-ratio pages from the rendered tiles.
  *
- * @param {HTMLCanvasElement} firstPageCanvas - First part with the overlay already drawn.
- * @param {Array<string>} additionalPartDataUrls - Data URLs for remaining parts (may be empty).
+ * @param {Array<HTMLCanvasElement>} tiles - Page tiles, top-to-bottom; the first has the overlay drawn.
+ * @param {object} [options]
+ * @param {Function} [options.onProgress] - Receives { phase: 'pdf', current, total } per page.
+ * @param {AbortSignal} [options.signal] - Cancels generation between pages (AbortError).
+ * @param {object} [options.properties] - Document properties: title, subject, author,
+ *   keywords, creator, and `properties`, custom [name, value] entries (PDF names).
+ * @param {boolean} [options.pdfA] - Write PDF/A-2b (pdfa.js) and self-check the
+ *   result; rejects with the problems found if the check fails.
  * @returns {Promise<string>} PDF as a data URI string.
  *
- * The screenshot is split into A4-ratio pages (210:297 aspect ratio).
- * Each PDF page is sized to match the screenshot width, with height
- * calculated from the A4 ratio. The screenshot is sliced vertically
- * and each slice becomes one PDF page.
+ * The tiles are treated as one continuous screenshot and split into
+ * A4-ratio pages (210:297 aspect ratio). Each PDF page is sized to match
+ * the screenshot width, with height calculated from the A4 ratio. Each
+ * page slice is copied directly from the tiles it overlaps, so no canvas
+ * taller than a single tile is ever needed.
  */
-export async function generatePdf(firstPageCanvas, additionalPartDataUrls = []) {
+export async function generatePdf(tiles, { onProgress = () => {}, signal, properties, pdfA = false } = {}) {
   const { jsPDF } = window.jspdf;
   if (!jsPDF) throw new Error('jsPDF not loaded');
 
-  // ── First, stitch everything onto one tall canvas ──
-  const additionalImages = [];
-  let totalHeightPx = firstPageCanvas.height;
-  for (const dataUrl of additionalPartDataUrls) {
-    const img = await loadImage(dataUrl);
-    additionalImages.push(img);
-    totalHeightPx += img.naturalHeight;
-  }
-
-  const fullWidth = firstPageCanvas.width;
-  const fullCanvas = document.createElement('canvas');
-  fullCanvas.width = fullWidth;
-  fullCanvas.height = totalHeightPx;
-  const fullCtx = fullCanvas.getContext('2d');
-
-  // Draw first part (with overlay)
-  fullCtx.drawImage(firstPageCanvas, 0, 0);
-
-  // Draw additional parts below
-  let yOffset = firstPageCanvas.height;
-  for (const img of additionalImages) {
-    fullCtx.drawImage(img, 0, yOffset);
-    yOffset += img.naturalHeight;
-  }
+  const fullWidth = tiles[0].width;
+  const totalHeightPx = tiles.reduce((sum, tile) => sum + tile.height, 0);
 
   // ── Calculate A4-ratio page dimensions ──
   // Page width = screenshot width, page height = width * A4_RATIO
@@ -459,14 +1610,19 @@ export async function generatePdf(firstPageCanvas, additionalPartDataUrls = [])
     orientation: 'portrait',
     unit: 'mm',
     format: [pageWidthMm, pageHeightMm],
+    putOnlyUsedFonts: pdfA, // PDF/A needs every font embedded; the pages use none
   });
+  if (properties) setPdfProperties(pdf, properties);
+  if (pdfA) preparePdfA(pdf, properties?.properties);
 
-  // ── Slice the full canvas into pages ──
+  // ── Slice the tiles into pages ──
   const numPages = Math.ceil(totalHeightPx / pageHeightPx);
   const sliceCanvas = document.createElement('canvas');
   sliceCanvas.width = pageWidthPx;
 
   for (let i = 0; i < numPages; i++) {
+    checkSignal(signal);
+    onProgress({ phase: PROGRESS_PHASES.PDF, current: i + 1, total: numPages });
     const srcY = i * pageHeightPx;
     const srcH = Math.min(pageHeightPx, totalHeightPx - srcY);
 
@@ -475,12 +1631,25 @@ export async function generatePdf(firstPageCanvas, additionalPartDataUrls = [])
       pdf.addPage([pageWidthMm, pageHeightMm]);
     }
 
-    // Extract this slice from the full canvas
     sliceCanvas.height = srcH;
     const sliceCtx = sliceCanvas.getContext('2d');
     sliceCtx.fillStyle = '#ffffff';
     sliceCtx.fillRect(0, 0, sliceCanvas.width, sliceCanvas.height);
-    sliceCtx.drawImage(fullCanvas, 0, srcY, pageWidthPx, srcH, 0, 0, pageWidthPx, srcH);
+
+    // Copy every tile region that overlaps this slice
+    let tileY = 0;
+    for (const tile of tiles) {
+      const top = Math.max(srcY, tileY);
+      const bottom = Math.min(srcY + srcH, tileY + tile.height);
+      if (bottom > top) {
+        sliceCtx.drawImage(
+          tile,
+          0, top - tileY, pageWidthPx, bottom - top,
+          0, top - srcY, pageWidthPx, bottom - top
+        );
+      }
+      tileY += tile.height;
+    }
 
     // Add to PDF as JPEG
     const sliceData = sliceCanvas.toDataURL('image/jpeg', 0.92);
@@ -488,15 +1657,13 @@ export async function generatePdf(firstPageCanvas, additionalPartDataUrls = [])
     pdf.addImage(sliceData, 'JPEG', 0, 0, pageWidthMm, sliceHeightMm);
   }
 
-  return pdf.output('datauristring');
+  if (!pdfA) return pdf.output('datauristring');
+  const output = pdf.output();
+  const problems = checkPdfA(output);
+  if (problems.length > 0) throw new Error(`PDF/A self-check failed: ${problems.join('; ')}`);
+  return `data:application/pdf;base64,${btoa(output)}`;
 }
 
-/**
- * Threshold in CSS pixels above which a page is considered "long".
- * Long pages only get a PDF; short pages get both PNG and PDF.
- */
-export const LONG_PAGE_THRESHOLD = 5000;
-
 // ─── Thumbnail ───
 
 export function createThumbnail(canvas, maxWidth = 128) {
@@ -511,6 +1678,18 @@ export function createThumbnail(canvas, maxWidth = 128) {
 
 // ─── File Saving ───
 
+/**
+ * Encode a canvas as a Blob (PNG by default).
+ */
+export function canvasToBlob(canvas, type = 'image/png', quality) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (blob) resolve(blob);
+      else reject(new Error('Failed to encode canvas'));
+    }, type, quality);
+  });
+}
+
 export function dataUrlToBlob(dataUrl) {
   const [header, base64] = dataUrl.split(',');
   const mime = header.match(/:(.*?);/)[1];
@@ -523,52 +1702,58 @@ export function dataUrlToBlob(dataUrl) {
 }
 
 /**
- * Save a data URL as a file via Downloads API.
+ * Save a Blob as a file via Downloads API.
  */
-export async function saveViaDownloads(dataUrl, filePath) {
-  const blob = dataUrlToBlob(dataUrl);
+export async function saveBlobViaDownloads(blob, filePath, conflictAction = 'uniquify') {
   const objectUrl = URL.createObjectURL(blob);
 
   try {
-    const downloadId = await new Promise((resolve, reject) => {
-      chrome.downloads.download(
-        { url: objectUrl, filename: filePath, saveAs: false, conflictAction: 'uniquify' },
-        (id) => {
-          if (chrome.runtime.lastError) reject(new Error(chrome.runtime.lastError.message));
-          else resolve(id);
-        }
-      );
-    });
-
-    await waitForDownload(downloadId);
-    return downloadId;
+    // The offscreen document has no downloads API; the service worker
+    // downloads its object URLs for it.
+    if (!chrome.downloads) {
+      const response = await chrome.runtime.sendMessage({
+        target: 'service-worker', action: 'download', url: objectUrl, filename: filePath, conflictAction,
+      });
+      if (!response || response.error) throw new Error(response ? response.error : 'Download failed');
+      return response.downloadId;
+    }
+    return await downloadUrl(objectUrl, filePath, conflictAction);
   } finally {
     URL.revokeObjectURL(objectUrl);
   }
 }
 
+/**
+ * Download a URL to a path under the Downloads folder and wait for it to finish.
+ */
+export async function downloadUrl(url, filePath, conflictAction = 'uniquify') {
+  const downloadId = await new Promise((resolve, reject) => {
+    chrome.downloads.download(
+      { url, filename: filePath, saveAs: false, conflictAction },
+      (id) => {
+        if (chrome.runtime.lastError) reject(new Error(chrome.runtime.lastError.message));
+        else resolve(id);
+      }
+    );
+  });
+
+  await waitForDownload(downloadId);
+  return downloadId;
+}
+
+/**
+ * Save a data URL as a file via Downloads API.
+ */
+export async function saveViaDownloads(dataUrl, filePath) {
+  return saveBlobViaDownloads(dataUrlToBlob(dataUrl), filePath);
+}
+
 /**
  * Save a CSV string via Downloads API.
  */
 export async function saveCsvViaDownloads(csvContent, filePath) {
   const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8' });
-  const objectUrl = URL.createObjectURL(blob);
-
-  try {
-    const downloadId = await new Promise((resolve, reject) => {
-      chrome.downloads.download(
-        { url: objectUrl, filename: filePath, saveAs: false, conflictAction: 'overwrite' },
-        (id) => {
-          if (chrome.runtime.lastError) reject(new Error(chrome.runtime.lastError.message));
-          else resolve(id);
-        }
-      );
-    });
-
-    await waitForDownload(downloadId);
-  } finally {
-    URL.revokeObjectURL(objectUrl);
-  }
+  await saveBlobViaDownloads(blob, filePath, 'overwrite');
 }
 
 function waitForDownload(downloadId) {
@@ -588,24 +1773,26 @@ function waitForDownload(downloadId) {
 }
 
 /**
- * Save via File System Access API.
+ * Save a Blob via File System Access API.
  */
-export async function saveViaFSA(baseHandle, folderPath, filename, dataUrl) {
+export async function saveBlobViaFSA(baseHandle, folderPath, filename, blob) {
   const dir = await getNestedDir(baseHandle, folderPath);
-  const blob = dataUrlToBlob(dataUrl);
   const fileHandle = await dir.getFileHandle(filename, { create: true });
   const writable = await fileHandle.createWritable();
   await writable.write(blob);
   await writable.close();
 }
 
+/**
+ * Save via File System Access API.
+ */
+export async function saveViaFSA(baseHandle, folderPath, filename, dataUrl) {
+  await saveBlobViaFSA(baseHandle, folderPath, filename, dataUrlToBlob(dataUrl));
+}
+
 export async function saveCsvViaFSA(baseHandle, folderPath, filename, csvContent) {
-  const dir = await getNestedDir(baseHandle, folderPath);
   const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8' });
-  const fileHandle = await dir.getFileHandle(filename, { create: true });
-  const writable = await fileHandle.createWritable();
-  await writable.write(blob);
-  await writable.close();
+  await saveBlobViaFSA(baseHandle, folderPath, filename, blob);
 }
 
 async function getNestedDir(baseHandle, relativePath) {
@@ -0,0 +1,143 @@
+/**
+ * Interactive capture jobs for Exemplar Capture.
+ *
+ * The service worker owns one capture job at a time (a single page, every
+ * tab of a window, or an imported URL list) and keeps its state in
+ * chrome.storage.session. The popup renders that state and sends the
+ * user's choices back, so it can close and reopen mid-job. Captured parts
+ * stay in the offscreen document until they are saved; the job only
+ * carries what the popup shows (names, descriptions, thumbnails).
+ *
+ * Also holds the session records a saved page updates (manifest rows,
+ * page name memory, step counter), shared by both sides.
+ */
+
+import { STORAGE_KEYS, CAPTURE_TARGETS } from './constants.js';
+import { navigateAndWait, isCapturableUrl } from './tabs.js';
+
+export const JOB_KINDS = {
+  SINGLE: 'single',
+  BATCH: 'batch',
+  IMPORT: 'import',
+};
+
+export const JOB_PHASES = {
+  CAPTURING: 'capturing',   // taking screenshots (import: capturing and saving)
+  DESCRIBING: 'describing', // single page captured, waiting for its description
+  REVIEWING: 'reviewing',   // batch captured, waiting for names/descriptions
+  SAVING: 'saving',
+  DONE: 'done',             // finished; kept until the popup has shown the outcome
+  FAILED: 'failed',
+};
+
+// ─── Job State ───
+
+export async function loadCaptureJob() {
+  const stored = await chrome.storage.session.get(STORAGE_KEYS.CAPTURE_JOB);
+  return stored[STORAGE_KEYS.CAPTURE_JOB] || null;
+}
+
+export async function storeCaptureJob(job) {
+  if (job) {
+    await chrome.storage.session.set({ [STORAGE_KEYS.CAPTURE_JOB]: job });
+  } else {
+    await chrome.storage.session.remove(STORAGE_KEYS.CAPTURE_JOB);
+  }
+}
+
+/**
+ * Whether the job is waiting on the user rather than working.
+ */
+export function isJobWaiting(job) {
+  return [JOB_PHASES.DESCRIBING, JOB_PHASES.REVIEWING, JOB_PHASES.DONE, JOB_PHASES.FAILED].includes(job.phase);
+}
+
+// ─── Pages ───
+
+export function getUrlKey(urlPath, loginState) {
+  return `${urlPath}|${loginState}`;
+}
+
+/**
+ * Load an imported URL-list entry in the working tab and describe it as a
+ * page to capture. The name falls back to `pageNames` (remembered names by
+ * URL key), then the page title.
+ */
+export async function loadEntryPage(tabId, entry, {
+  loginState, version, profileId, regionId, language, pageNames = {},
+}) {
+  const tab = await navigateAndWait(tabId, entry.url);
+  if (!isCapturableUrl(tab.url)) throw new Error(`Redirected to ${tab.url}`);
+
+  const url = new URL(tab.url);
+  const urlPath = url.pathname + url.search;
+  const pageLoginState = entry.loginState || loginState;
+  const urlKey = getUrlKey(urlPath, pageLoginState);
+  return {
+    tabId: tab.id, fullURL: tab.url, hostname: url.hostname, urlPath, urlKey,
+    target: { type: CAPTURE_TARGETS.FULL_PAGE },
+    timestamp: new Date().toLocaleString(),
+    loginState: pageLoginState,
+    version,
+    profileId,
+    regionId,
+    language: entry.language || language,
+    pageName: entry.pageName || pageNames[urlKey] || (tab.title || '').trim() || urlPath,
+  };
+}
+
+// ─── Session Records ───
+
+export async function loadStepCounter() {
+  const stored = await chrome.storage.local.get(STORAGE_KEYS.STEP_COUNTER);
+  return stored[STORAGE_KEYS.STEP_COUNTER] || 1;
+}
+
+export async function saveStepCounter(stepCounter) {
+  await chrome.storage.local.set({ [STORAGE_KEYS.STEP_COUNTER]: stepCounter });
+}
+
+/**
+ * What "Edit last capture" needs to rename a saved page.
+ */
+export function lastCaptureRecord(page, description, stepOrIndex, artifacts) {
+  const { pngFilename, pdfFilename, language } = artifacts[0];
+  return {
+    pageName: page.pageName,
+    version: page.version,
+    language,
+    pngFilename, pdfFilename, description,
+    stepOrIndex, loginState: page.loginState,
+    urlPath: page.urlPath, urlKey: page.urlKey,
+    thumbnailDataUrl: page.thumbnailDataUrl,
+    artifacts,
+  };
+}
+
+/**
+ * Append manifest rows and checksum entries (for SHA256SUMS), and remember
+ * each saved page's name and URL key.
+ */
+export async function recordSavedPages(manifestRows, pages, checksums = []) {
+  const stored = await chrome.storage.local.get([
+    STORAGE_KEYS.MANIFEST, STORAGE_KEYS.PAGE_NAMES, STORAGE_KEYS.CAPTURE_HISTORY, STORAGE_KEYS.CHECKSUMS,
+  ]);
+  const rows = stored[STORAGE_KEYS.MANIFEST] || [];
+  const sessionChecksums = stored[STORAGE_KEYS.CHECKSUMS] || [];
+  const pageNames = stored[STORAGE_KEYS.PAGE_NAMES] || {};
+  const captureHistory = stored[STORAGE_KEYS.CAPTURE_HISTORY] || {};
+
+  rows.push(...manifestRows);
+  sessionChecksums.push(...checksums);
+  for (const page of pages) {
+    pageNames[page.urlKey] = page.pageName;
+    captureHistory[page.urlKey] = true;
+  }
+
+  await chrome.storage.local.set({
+    [STORAGE_KEYS.MANIFEST]: rows,
+    [STORAGE_KEYS.PAGE_NAMES]: pageNames,
+    [STORAGE_KEYS.CAPTURE_HISTORY]: captureHistory,
+    [STORAGE_KEYS.CHECKSUMS]: sessionChecksums,
+  });
+}
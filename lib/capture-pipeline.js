@@ -0,0 +1,564 @@
+/**
+ * Exemplar Capture — Capture Pipeline
+ * The steps between a tab and the files on disk, shared by every kind of
+ * capture job:
+ *
+ *   capturePage  — run captureFullPage under each selected profile and keep
+ *                  the raw parts (compressed PNGs) for later; runs in the
+ *                  service worker, which owns chrome.debugger
+ *   saveCapture  — stitch, draw the overlay header with the final page
+ *                  name/step, and save every artifact; returns the manifest
+ *                  rows; runs in the offscreen document, which has a DOM
+ *
+ * Stitching is deferred to saveCapture so a page can be renamed or
+ * renumbered after capture (batch review) without a stale header.
+ */
+
+import {
+  MODES, COMPLIANCE_KEYWORDS, CAPTURE_PROFILES, DEFAULT_PROFILE, ALL_PROFILES,
+  FIXED_ELEMENT_POLICIES, CAPTURE_TARGETS, NATIVE_PDF_MODES, REGION_PRESETS, DEFAULT_REGION,
+} from './constants.js';
+import { generateFullPath, withSuffix, normalizeLanguage, resolveLanguage } from './naming.js';
+import { createManifestRow } from './csv.js';
+import { BUILT_IN_DISMISSAL_RULES, rulesForHost, describeDismissals } from './dismissal-rules.js';
+import { sha256Hex } from './checksums.js';
+import { requestTimestamp, timestampFilename } from './timestamp.js';
+import { withPngText } from './png-text.js';
+import { PDF_A_CONFORMANCE } from './pdfa.js';
+import {
+  captureFullPage,
+  reloadAfterRegion,
+  stitchPartsToTiles,
+  measureOverlayHeight,
+  drawOverlay,
+  drawImageToCanvas,
+  generatePdf,
+  createThumbnail,
+  describeProfile,
+  describeRegion,
+  formatGeolocation,
+  describeTarget,
+  drawKeywordHighlights,
+  canvasToBlob,
+  dataUrlToBlob,
+  saveBlobViaDownloads,
+  saveBlobViaFSA,
+} from './capture-engine.js';
+
+// ─── Session Settings ───
+
+/**
+ * Resolve a profile selection (a profile id or ALL_PROFILES) to profile objects.
+ */
+export function resolveProfiles(profileId) {
+  if (profileId === ALL_PROFILES) return Object.values(CAPTURE_PROFILES);
+  return [CAPTURE_PROFILES[profileId] || CAPTURE_PROFILES[DEFAULT_PROFILE]];
+}
+
+/**
+ * The region preset for a page (unknown ids fall back to none).
+ */
+export function resolveRegion(regionId) {
+  return REGION_PRESETS[regionId] || REGION_PRESETS[DEFAULT_REGION];
+}
+
+/**
+ * Keywords for a session (sessions started before the list was
+ * configurable use the defaults).
+ */
+export function sessionKeywords(session) {
+  return session && session.keywords ? session.keywords : COMPLIANCE_KEYWORDS;
+}
+
+/**
+ * Dismissal rules to run on a page: custom rules first, then the
+ * built-in consent platform rules when enabled for the session.
+ */
+export function dismissalRulesFor(session, hostname) {
+  const rules = [
+    ...(session.dismissalRules || []),
+    ...(session.dismissBanners === false ? [] : BUILT_IN_DISMISSAL_RULES),
+  ];
+  return rulesForHost(rules, hostname);
+}
+
+/**
+ * Header overlay / native PDF metadata for one page under one profile.
+ */
+function pageMetadata(session, page, stepOrIndex, profile) {
+  const region = resolveRegion(page.regionId);
+  return {
+    mode: session.mode,
+    flowOrSetName: session.flowOrSetName,
+    stepOrIndex,
+    pageName: page.pageName,
+    loginState: page.loginState,
+    profile: describeProfile(profile),
+    language: normalizeLanguage(page.language) || undefined, // Unknown until captured when auto
+    region: region.id === DEFAULT_REGION ? undefined : describeRegion(region),
+    version: page.version, // Per-page version
+    timestamp: page.timestamp,
+    urlPath: page.urlPath,
+    fullURL: page.fullURL,
+    target: page.target.type === CAPTURE_TARGETS.FULL_PAGE ? undefined : describeTarget(page.target),
+  };
+}
+
+/**
+ * Document properties embedded in a capture's PDF (information dictionary)
+ * and PNGs (text chunks), so each file describes itself without the
+ * manifest. `properties` are the custom entries, as [name, value].
+ */
+function documentProperties(session, page, stepOrIndex, profile, { language, description, keywordsFound }) {
+  const flow = session.mode === MODES.FLOW;
+  const loginState = page.loginState === 'logged-in' ? 'Logged In' : 'Logged Out';
+  return {
+    title: `${session.flowOrSetName} — ${flow ? 'Step' : 'Index'} ${stepOrIndex}: ${page.pageName}`,
+    subject: description,
+    author: page.hostname,
+    keywords: [
+      flow ? 'Flow' : 'Set', session.flowOrSetName, page.pageName, loginState, profile.label, language,
+      page.version, ...keywordsFound,
+    ].filter(Boolean).join(', '),
+    creator: `Exemplar Capture ${chrome.runtime.getManifest().version}`,
+    properties: [
+      ['URL', page.fullURL],
+      ['Version', page.version],
+      [flow ? 'Step' : 'Index', String(stepOrIndex)],
+      ['LoginState', loginState],
+      ['Profile', profile.label],
+      ['Language', language],
+      ['CaptureTime', page.timestamp],
+    ],
+  };
+}
+
+/**
+ * PNG text chunks for document properties: the registered keywords, then
+ * the custom entries.
+ */
+function pngText({ title, subject, author, keywords, creator, properties }) {
+  return [
+    ['Title', title],
+    ['Author', author],
+    ['Description', subject],
+    ['Software', creator],
+    ['Keywords', keywords],
+    ...properties,
+  ];
+}
+
+/**
+ * Whether a captured page calls for the compliance description mode:
+ * a keyword in the URL or in the captured text (page.keywordsFound, see
+ * captureSummary).
+ */
+export function hasComplianceContent(session, page) {
+  const urlLower = page.urlPath.toLowerCase();
+  return page.keywordsFound.length > 0 || sessionKeywords(session).some(kw => urlLower.includes(kw));
+}
+
+// ─── Capture ───
+
+/**
+ * Preview thumbnail from the first captured part (needs a DOM).
+ */
+export async function captureThumbnail(results) {
+  const canvas = document.createElement('canvas');
+  await drawImageToCanvas(canvas, results[0].parts[0].dataUrl);
+  return createThumbnail(canvas);
+}
+
+/**
+ * What the popup shows about a capture while its parts are held elsewhere.
+ */
+export function captureSummary(results) {
+  return {
+    numParts: results.reduce((n, r) => n + r.parts.length, 0),
+    profileCount: results.length,
+    settleTimedOut: results.some(r => r.settle.timedOut),
+    keywordsFound: [...new Set(results.flatMap(r => r.keywordMatches.found))],
+  };
+}
+
+/**
+ * Capture one tab under every profile selected for the page.
+ *
+ * @param {object} session - The active session.
+ * @param {object} page - { tabId, fullURL, hostname, urlPath, target, timestamp,
+ *   pageName, loginState, version, profileId, language, regionId }; language is a tag
+ *   or 'auto' for the page's `<html lang>`; regionId is a REGION_PRESETS key
+ * @param {object} options
+ * @param {number} options.stepOrIndex - Step/index printed in the native PDF header.
+ * @param {Function} [options.onStatus] - Receives short progress messages.
+ * @param {Function} [options.onProgress] - Receives captureFullPage's progress with
+ *   { profile, profileIndex, profileCount } added.
+ * @param {AbortSignal} [options.signal] - Cancels the capture (AbortError).
+ * @returns {Promise<{ results: Array, pageContent: object|null }>} One captureFullPage
+ *   result per profile, and the first profile's page content.
+ */
+export async function capturePage(session, page, {
+  stepOrIndex, onStatus = () => {}, onProgress = () => {}, signal,
+}) {
+  const results = [];
+  let pageContent = null;
+  const profiles = resolveProfiles(page.profileId);
+  const region = resolveRegion(page.regionId);
+
+  try {
+    for (const [i, profile] of profiles.entries()) {
+      const metadata = pageMetadata(session, page, stepOrIndex, profile);
+      const nativePdfMode = session.nativePdf || NATIVE_PDF_MODES.OFF;
+
+      onStatus(`Capturing ${profile.label} (DevTools Protocol)...`);
+      const captureResult = await captureFullPage(page.tabId, {
+        profile,
+        region,
+        fixedElementPolicy: session.fixedElementPolicy || FIXED_ELEMENT_POLICIES.KEEP_TOP,
+        target: page.target,
+        nativePdf: nativePdfMode === NATIVE_PDF_MODES.OFF ? null : { media: nativePdfMode, metadata },
+        archive: !!session.archive,
+        keywords: sessionKeywords(session),
+        dismissalRules: dismissalRulesFor(session, page.hostname),
+        settleTimeoutMs: session.settleTimeoutMs,
+        expandCollapsed: !!session.expandCollapsed,
+        signal,
+        onProgress: progress => onProgress({
+          ...progress, profile: profile.label, profileIndex: i + 1, profileCount: profiles.length,
+        }),
+      });
+
+      results.push(captureResult);
+
+      // Content is the same page under every profile; keep the first extraction
+      if (!pageContent) pageContent = captureResult.pageContent;
+    }
+  } finally {
+    // Each profile reloads the tab under the region's overrides; reload it
+    // once more, without them, after the last one
+    if (region.id !== DEFAULT_REGION) {
+      await reloadAfterRegion(page.tabId).catch(err => console.warn('Tab reload failed:', err));
+    }
+  }
+
+  return { results, pageContent };
+}
+
+// ─── Save ───
+
+/**
+ * Write a Blob to the chosen folder, or to Downloads when none is selected.
+ * The bytes are hashed first (unless the digest is passed in); the digest
+ * is added to `checksums` as { path, sha256 } and returned. Downloads
+ * overwrite an existing file, as the File System Access API does, so the
+ * file is always saved under the path recorded for it.
+ */
+async function saveArtifact(dirHandle, folder, filename, blob, checksums, knownSha256) {
+  const sha256 = knownSha256 || await sha256Hex(blob);
+  if (dirHandle) {
+    await saveBlobViaFSA(dirHandle, folder, filename, blob);
+  } else {
+    await saveBlobViaDownloads(blob, `${folder}/${filename}`, 'overwrite');
+  }
+  checksums.push({ path: `${folder}/${filename}`, sha256 });
+  return sha256;
+}
+
+/**
+ * Timestamp saved artifacts ({ filename, sha256 }, all in `folder`) with an
+ * RFC 3161 TSA and save each token next to its artifact. A TSA that is
+ * unreachable or refuses never fails the capture; the result says what
+ * happened, for the manifest.
+ *
+ * @returns {Promise<{ time: string, status: string, error: string }>} time is the
+ *   latest TSA time, by which every stamped file existed; status is 'Stamped',
+ *   'Failed: <reason>' or 'Partial (n of m): <reason>'; error is the first reason.
+ */
+async function timestampArtifacts(dirHandle, tsaUrl, folder, files, checksums) {
+  const replies = await Promise.allSettled(files.map(({ sha256 }) => requestTimestamp(tsaUrl, sha256)));
+  const times = [];
+  let error = '';
+  for (const [i, reply] of replies.entries()) {
+    if (reply.status === 'rejected') {
+      if (!error) error = reply.reason.message;
+      continue;
+    }
+    await saveArtifact(dirHandle, folder, timestampFilename(files[i].filename), reply.value.token, checksums);
+    times.push(reply.value.genTime);
+  }
+
+  let status = 'Stamped';
+  if (error) {
+    status = times.length === 0 ? `Failed: ${error}` : `Partial (${times.length} of ${files.length}): ${error}`;
+  }
+  return { time: times.sort().pop() || '', status, error };
+}
+
+/**
+ * Encode the full-height PNG for a capture, with `text` embedded in every
+ * file (see withPngText). A page that fits in one tile is a single PNG;
+ * taller pages become numbered tiles plus a JSON stitching index, which
+ * lists each tile's SHA-256 so its own digest covers the tiles.
+ *
+ * @returns {Promise<{ files: Array<{ filename, blob, sha256 }>, filename: string, sha256: string }>}
+ *   filename and sha256 are what the manifest records: the PNG or the index.
+ */
+async function encodeTiledPng(tiles, headerHeight, pngFilename, text) {
+  const encode = async (filename, blob) => ({ filename, blob, sha256: await sha256Hex(blob) });
+
+  if (tiles.length === 1) {
+    const png = await encode(pngFilename, await withPngText(await canvasToBlob(tiles[0]), text));
+    return { files: [png], filename: png.filename, sha256: png.sha256 };
+  }
+
+  const index = {
+    image: pngFilename,
+    width: tiles[0].width,
+    height: tiles.reduce((sum, tile) => sum + tile.height, 0),
+    headerHeight,
+    tiles: [],
+  };
+
+  const files = [];
+  let y = 0;
+  for (let i = 0; i < tiles.length; i++) {
+    const tileFilename = withSuffix(pngFilename, `tile${String(i + 1).padStart(2, '0')}`);
+    const tileText = [...text, ['Tile', `${i + 1} of ${tiles.length}`]];
+    const tile = await encode(tileFilename, await withPngText(await canvasToBlob(tiles[i]), tileText));
+    files.push(tile);
+    index.tiles.push({ file: tileFilename, x: 0, y, width: tiles[i].width, height: tiles[i].height, sha256: tile.sha256 });
+    y += tiles[i].height;
+  }
+
+  const indexBlob = new Blob([JSON.stringify(index, null, 2)], { type: 'application/json' });
+  const indexFile = await encode(pngManifestFilename(pngFilename, true), indexBlob);
+  files.push(indexFile);
+  return { files, filename: indexFile.filename, sha256: indexFile.sha256 };
+}
+
+async function savePngFiles(dirHandle, folder, { files }, checksums) {
+  for (const { filename, blob, sha256 } of files) {
+    await saveArtifact(dirHandle, folder, filename, blob, checksums, sha256);
+  }
+}
+
+/**
+ * Filename recorded in the manifest for a capture's PNG output.
+ */
+export function pngManifestFilename(pngFilename, tiled) {
+  return tiled ? withSuffix(pngFilename, 'tiles', 'json') : pngFilename;
+}
+
+/**
+ * Stitch, overlay and save every artifact of a captured page.
+ *
+ * @param {object} session - The active session.
+ * @param {object} page - The page passed to capturePage, with `results` from it.
+ * @param {object} options
+ * @param {string} options.description - Description recorded in the manifest.
+ * @param {number} options.stepOrIndex - Step/index used for filenames and the header.
+ * @param {boolean} [options.duplicate] - Whether the URL was already captured.
+ * @param {FileSystemDirectoryHandle|null} [options.dirHandle] - Save folder; Downloads when null.
+ * @param {Function} [options.onStatus] - Receives short progress messages.
+ * @param {Function} [options.onProgress] - Receives generatePdf's progress with
+ *   { profile, profileIndex, profileCount } added.
+ * @param {AbortSignal} [options.signal] - Cancels PDF generation (AbortError). Each
+ *   profile's PDF is built before its files are written, so a cancelled profile
+ *   leaves no files behind.
+ * @returns {Promise<{ manifestRows: Array, artifacts: Array, checksums: Array, warnings: string[] }>}
+ *   checksums is { path, sha256 } for every file written, tiles and timestamp
+ *   tokens included; warnings lists optional artifacts and timestamps that
+ *   failed (the rest were still saved).
+ */
+export async function saveCapture(session, page, {
+  description, stepOrIndex, duplicate = false, dirHandle = null,
+  onStatus = () => {}, onProgress = () => {}, signal,
+}) {
+  const manifestRows = [];
+  const artifacts = [];
+  const checksums = [];
+  const warnings = [];
+  const multiProfile = page.results.length > 1;
+  const language = resolveLanguage(page.language, page.results[0].environment?.documentLanguage);
+  const namingSession = { ...session, version: page.version, loginState: page.loginState, language };
+
+  for (const [i, result] of page.results.entries()) {
+    const {
+      profile, region, parts, fixedElements, nativePdf, archive, keywordMatches, dismissals, settle, expanded,
+    } = result;
+    const environment = result.environment || {};
+    const profileNote = multiProfile ? `${profile.label} ` : '';
+    const pathFor = (ext, suffix) => generateFullPath(namingSession, stepOrIndex, page.pageName, ext, {
+      profile: profile.label,
+      suffix,
+    });
+
+    // Stitch into tiles that fit the canvas limit, leaving room for the
+    // header on the first tile, then draw the header.
+    onStatus(`Processing ${profileNote}screenshot...`);
+    const overlayMetadata = {
+      ...pageMetadata(session, page, stepOrIndex, profile),
+      language,
+      devicePixelRatio: result.devicePixelRatio,
+      environment: session.overlayEnvironment && result.environment ? result.environment : undefined,
+    };
+    const headerHeight = measureOverlayHeight(parts[0].width, overlayMetadata);
+    const tiles = await stitchPartsToTiles(parts, headerHeight);
+    drawOverlay(tiles[0], overlayMetadata);
+    const properties = documentProperties(session, page, stepOrIndex, profile, {
+      language, description, keywordsFound: keywordMatches.found,
+    });
+
+    // Full-height PNG (tiled when taller than the canvas limit), encoded
+    // first so the PDF can record its digest
+    const pngPaths = pathFor('png');
+    onStatus(`Encoding ${profileNote}PNG...`);
+    const png = await encodeTiledPng(tiles, headerHeight, pngPaths.filename, pngText(properties));
+
+    // Screenshot PDF, built before anything is written as the step that can be cancelled.
+    // It records the digest of the saved PNG file, or of the tile index for a tiled one
+    // (the text chunks make either differ from the pixels the PDF was built from).
+    onStatus(`Generating ${profileNote}PDF...`);
+    const pngDigest = [tiles.length === 1 ? 'PNGFileSHA256' : 'TileIndexSHA256', png.sha256];
+    let pdfDataUrl = null;
+    try {
+      pdfDataUrl = await generatePdf(tiles, {
+        signal,
+        onProgress: progress => onProgress({
+          ...progress, profile: profile.label, profileIndex: i + 1, profileCount: page.results.length,
+        }),
+        properties: { ...properties, properties: [...properties.properties, pngDigest] },
+        pdfA: !!session.pdfA,
+      });
+    } catch (pdfErr) {
+      if (pdfErr.name === 'AbortError') throw pdfErr;
+      console.warn('PDF generation failed:', pdfErr);
+      throw new Error(pdfErr.message.startsWith('PDF/A') ? pdfErr.message : 'PDF generation failed');
+    }
+
+    onStatus(`Saving ${profileNote}PNG...`);
+    await savePngFiles(dirHandle, pngPaths.folder, png, checksums);
+
+    // Annotated copy with keyword matches outlined
+    let annotatedPng = { filename: '', sha256: '' };
+    if (session.annotateKeywords && keywordMatches.boxes.length > 0) {
+      onStatus(`Saving ${profileNote}annotated PNG...`);
+      const annotatedTiles = drawKeywordHighlights(tiles, keywordMatches.boxes, { ...result, headerHeight });
+      const annotatedPaths = pathFor('png', 'annotated');
+      annotatedPng = await encodeTiledPng(annotatedTiles, headerHeight, annotatedPaths.filename, [
+        ...pngText(properties), ['Annotation', 'Compliance keyword matches outlined'],
+      ]);
+      await savePngFiles(dirHandle, annotatedPaths.folder, annotatedPng, checksums);
+    }
+
+    const pdfPaths = pathFor('pdf');
+    onStatus(`Saving ${profileNote}PDF...`);
+    const pdfSha256 = await saveArtifact(dirHandle, pdfPaths.folder, pdfPaths.filename, dataUrlToBlob(pdfDataUrl), checksums);
+
+    // Native (text-searchable) PDF, saved next to the screenshot PDF
+    let nativePdfFilename = '';
+    let nativePdfSha256 = '';
+    if (nativePdf && nativePdf.dataUrl) {
+      const nativePdfPaths = pathFor('pdf', 'print');
+      onStatus(`Saving ${profileNote}native PDF...`);
+      nativePdfSha256 = await saveArtifact(
+        dirHandle, nativePdfPaths.folder, nativePdfPaths.filename, dataUrlToBlob(nativePdf.dataUrl), checksums
+      );
+      nativePdfFilename = nativePdfPaths.filename;
+    } else if (nativePdf && nativePdf.error) {
+      warnings.push(`${profileNote}native PDF failed: ${nativePdf.error}`);
+    }
+
+    // MHTML web archive of the page, saved next to the PDF
+    let mhtmlFilename = '';
+    let mhtmlSha256 = '';
+    if (archive && archive.mhtml) {
+      const mhtmlPaths = pathFor('mhtml');
+      onStatus(`Saving ${profileNote}web archive...`);
+      const mhtmlBlob = new Blob([archive.mhtml], { type: 'multipart/related' });
+      mhtmlSha256 = await saveArtifact(dirHandle, mhtmlPaths.folder, mhtmlPaths.filename, mhtmlBlob, checksums);
+      mhtmlFilename = mhtmlPaths.filename;
+    } else if (archive && archive.error) {
+      warnings.push(`${profileNote}web archive failed: ${archive.error}`);
+    }
+
+    // RFC 3161 timestamp of each artifact's digest (a tile index covers its tiles)
+    let timestamp = { time: '', status: '' };
+    if (session.tsaUrl) {
+      onStatus(`Timestamping ${profileNote}files...`);
+      const stampFiles = [
+        { filename: png.filename, sha256: png.sha256 },
+        { filename: annotatedPng.filename, sha256: annotatedPng.sha256 },
+        { filename: pdfPaths.filename, sha256: pdfSha256 },
+        { filename: nativePdfFilename, sha256: nativePdfSha256 },
+        { filename: mhtmlFilename, sha256: mhtmlSha256 },
+      ].filter(file => file.filename);
+      timestamp = await timestampArtifacts(dirHandle, session.tsaUrl, pngPaths.folder, stampFiles, checksums);
+      if (timestamp.error) warnings.push(`${profileNote}timestamp failed: ${timestamp.error}`);
+    }
+
+    manifestRows.push(createManifestRow({
+      timestamp: page.timestamp,
+      version: page.version, // Per-page version
+      mode: session.mode === MODES.FLOW ? 'Flow' : 'Set',
+      flowOrSetName: session.flowOrSetName,
+      stepOrIndex,
+      pageName: page.pageName,
+      loginState: page.loginState === 'logged-in' ? 'Logged In' : 'Logged Out',
+      profile: profile.label,
+      language,
+      hostname: page.hostname,
+      fullURL: page.fullURL,
+      urlPath: page.urlPath,
+      pngFilename: png.filename,
+      pdfFilename: pdfPaths.filename,
+      description,
+      duplicate: !!duplicate,
+      fixedElementPolicy: fixedElements.policy,
+      captureTarget: describeTarget(page.target),
+      nativePdfFilename,
+      mhtmlFilename,
+      complianceKeywords: keywordMatches.found.join('; '),
+      annotatedPngFilename: annotatedPng.filename,
+      dismissalRules: describeDismissals(dismissals),
+      networkRequests: settle.requests,
+      settleTimeMs: settle.waitMs,
+      settleTimedOut: settle.timedOut,
+      expandedElements: expanded ? expanded.total : '',
+      chromeVersion: environment.chromeVersion,
+      userAgent: environment.userAgent,
+      viewport: environment.viewport,
+      devicePixelRatio: environment.devicePixelRatio,
+      timezone: environment.timezone,
+      browserLanguage: environment.language,
+      extensionVersion: environment.extensionVersion,
+      finalURL: environment.finalUrl,
+      region: region.id === DEFAULT_REGION ? '' : region.label,
+      emulatedLocale: region.locale,
+      emulatedTimezone: region.timezone,
+      emulatedGeolocation: formatGeolocation(region.geolocation),
+      acceptLanguage: region.acceptLanguage,
+      pngSha256: png.sha256,
+      pdfSha256,
+      nativePdfSha256,
+      mhtmlSha256,
+      annotatedPngSha256: annotatedPng.sha256,
+      tsaUrl: session.tsaUrl,
+      tsaTime: timestamp.time,
+      timestampStatus: timestamp.status,
+      pdfConformance: session.pdfA ? PDF_A_CONFORMANCE : '',
+    }));
+    artifacts.push({
+      profileId: profile.id,
+      pngFilename: png.filename,
+      pdfFilename: pdfPaths.filename,
+      nativePdfFilename,
+      mhtmlFilename,
+      annotatedPngFilename: annotatedPng.filename,
+      language,
+      tiled: tiles.length > 1,
+    });
+  }
+
+  return { manifestRows, artifacts, checksums, warnings };
+}
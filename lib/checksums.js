@@ -0,0 +1,152 @@
+/**
+ * SHA-256 checksums for the chain of custody of Exemplar Capture artifacts.
+ *
+ * Every artifact is hashed (WebCrypto) from the exact bytes that are
+ * written. The hashes go into the manifest and into SHA256SUMS files, one
+ * in each capture folder and one next to the manifest, in the format
+ * `sha256sum -c` reads: "<hex>  <path>", with paths relative to the
+ * SHA256SUMS file. verifyFolder re-hashes the listed files.
+ */
+
+import { captureFolderOf } from './naming.js';
+
+export const CHECKSUMS_FILENAME = 'SHA256SUMS';
+
+/**
+ * Lowercase hex SHA-256 digest of a Blob (or File).
+ */
+export async function sha256Hex(blob) {
+  const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+  return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Segments of a slash-separated path with '.' and '..' resolved; '..' that
+ * climbs above the start is kept.
+ */
+function pathSegments(path) {
+  const segments = [];
+  for (const part of path.split('/')) {
+    if (!part || part === '.') continue;
+    if (part === '..' && segments.length > 0 && segments[segments.length - 1] !== '..') {
+      segments.pop();
+    } else {
+      segments.push(part);
+    }
+  }
+  return segments;
+}
+
+/**
+ * Path of a file relative to a folder, both given from the same root,
+ * e.g. ('Exemplars/2026-02-09_/Flow_A', 'Exemplars/2026-02-09_v3/Flow_A/en/x.png')
+ * → '../../2026-02-09_v3/Flow_A/en/x.png'.
+ */
+export function relativePath(folder, filePath) {
+  const from = pathSegments(folder);
+  const to = pathSegments(filePath);
+  let common = 0;
+  while (common < from.length && common < to.length - 1 && from[common] === to[common]) common++;
+  return [...from.slice(common).map(() => '..'), ...to.slice(common)].join('/');
+}
+
+/**
+ * SHA256SUMS content for checksum entries { path, sha256 } (paths from the
+ * save root), written into `folder`.
+ */
+export function formatChecksums(folder, entries) {
+  return entries.map(({ path, sha256 }) => `${sha256}  ${relativePath(folder, path)}\n`).join('');
+}
+
+/**
+ * SHA256SUMS files for a manifest saved as `folder/manifestFilename` with
+ * the given content. Each artifact is listed in the SHA256SUMS of its
+ * capture folder (captureFolderOf), so verifying the folder the captures are
+ * in checks them; the manifest is listed in the one in its own folder. A
+ * session's manifest folder has no version, so it is usually a separate
+ * file; a scheduled run's is its capture folder, so they share one.
+ *
+ * @returns {Promise<Array<{ folder: string, blob: Blob }>>} SHA256SUMS to save into each folder.
+ */
+export async function buildChecksumsFiles(folder, manifestFilename, csvContent, entries) {
+  const manifest = { path: `${folder}/${manifestFilename}`, sha256: await sha256Hex(new Blob([csvContent])) };
+  const groups = new Map();
+  for (const entry of [...entries, manifest]) {
+    const sumsFolder = entry === manifest ? folder : captureFolderOf(entry.path);
+    if (!groups.has(sumsFolder)) groups.set(sumsFolder, []);
+    groups.get(sumsFolder).push(entry);
+  }
+  return [...groups].map(([sumsFolder, group]) => ({
+    folder: sumsFolder,
+    blob: new Blob([formatChecksums(sumsFolder, group)], { type: 'text/plain' }),
+  }));
+}
+
+/**
+ * Read SHA256SUMS text into { sha256, path } entries. Binary-mode lines
+ * ("<hex> *<path>") are accepted; anything else is skipped.
+ */
+export function parseChecksums(text) {
+  const entries = [];
+  for (const line of text.split(/\r?\n/)) {
+    const match = line.match(/^([0-9a-fA-F]{64}) [ *](.+)$/);
+    if (match) entries.push({ sha256: match[1].toLowerCase(), path: match[2] });
+  }
+  return entries;
+}
+
+/**
+ * Every file under a directory, by path relative to it.
+ */
+export async function indexFiles(dirHandle, prefix = '', files = new Map()) {
+  for await (const [name, handle] of dirHandle.entries()) {
+    const path = prefix + name;
+    if (handle.kind === 'directory') {
+      await indexFiles(handle, `${path}/`, files);
+    } else {
+      files.set(path, handle);
+    }
+  }
+  return files;
+}
+
+/**
+ * Re-hash every file listed by the SHA256SUMS files anywhere under
+ * `dirHandle` and compare it with the recorded digest.
+ *
+ * @param {FileSystemDirectoryHandle} dirHandle - The picked folder.
+ * @param {object} [options]
+ * @param {Function} [options.onProgress] - Receives (checked, total) before each file.
+ * @returns {Promise<{ sums: string[], total: number, matched: string[], mismatched: string[],
+ *   missing: string[], outside: string[] }>} sums lists the SHA256SUMS files found; outside
+ *   lists files in a folder above the picked one, which cannot be read.
+ */
+export async function verifyFolder(dirHandle, { onProgress = () => {} } = {}) {
+  const files = await indexFiles(dirHandle);
+  const sums = [...files.keys()].filter(path => path.split('/').pop() === CHECKSUMS_FILENAME);
+
+  const checks = [];
+  for (const sumsPath of sums) {
+    const folder = sumsPath.split('/').slice(0, -1).join('/');
+    const text = await (await files.get(sumsPath).getFile()).text();
+    for (const { sha256, path } of parseChecksums(text)) {
+      checks.push({ sha256, path: pathSegments(`${folder}/${path}`).join('/') });
+    }
+  }
+
+  const result = { sums, total: checks.length, matched: [], mismatched: [], missing: [], outside: [] };
+  for (const [i, { sha256, path }] of checks.entries()) {
+    onProgress(i, checks.length);
+    const handle = files.get(path);
+    if (path.startsWith('../')) {
+      result.outside.push(path);
+    } else if (!handle) {
+      result.missing.push(path);
+    } else if (await sha256Hex(await handle.getFile()) === sha256) {
+      result.matched.push(path);
+    } else {
+      result.mismatched.push(path);
+    }
+  }
+  return result;
+}
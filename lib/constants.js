@@ -18,7 +18,152 @@ export const DESCRIPTION_MODES = {
   VERBOSE: 'verbose',
 };
 
-export const LANGUAGE = 'en';
+/** Language recorded when none is set and the page does not declare one. */
+export const DEFAULT_LANGUAGE = 'en';
+
+/** Language setting that reads the page's `<html lang>` at capture time. */
+export const LANGUAGE_AUTO = 'auto';
+
+/**
+ * Device profiles a page can be captured under.
+ * `height: null` keeps the tab's current viewport height.
+ * `userAgent: null` keeps the browser's own user agent.
+ */
+export const CAPTURE_PROFILES = {
+  desktop: {
+    id: 'desktop',
+    label: 'Desktop',
+    width: 1440,
+    height: null,
+    deviceScaleFactor: 1,
+    mobile: false,
+    touch: false,
+    userAgent: null,
+  },
+  tablet: {
+    id: 'tablet',
+    label: 'Tablet',
+    width: 820,
+    height: 1180,
+    deviceScaleFactor: 2,
+    mobile: true,
+    touch: true,
+    userAgent: 'Mozilla/5.0 (iPad; CPU OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1',
+  },
+  mobile: {
+    id: 'mobile',
+    label: 'Mobile',
+    width: 390,
+    height: 844,
+    deviceScaleFactor: 3,
+    mobile: true,
+    touch: true,
+    userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1',
+  },
+};
+
+export const DEFAULT_PROFILE = 'desktop';
+
+// Pseudo-profile: capture the page once under every profile.
+export const ALL_PROFILES = 'all';
+
+/**
+ * Regional presets a page can be captured under: locale (Intl and
+ * navigator.language), IANA timezone, geolocation and the Accept-Language
+ * header. `none` leaves the browser's own settings.
+ */
+export const REGION_PRESETS = {
+  none: {
+    id: 'none',
+    label: 'Browser settings',
+    locale: null,
+    timezone: null,
+    geolocation: null,
+    acceptLanguage: null,
+  },
+  'us-ca': {
+    id: 'us-ca',
+    label: 'United States (California)',
+    locale: 'en-US',
+    timezone: 'America/Los_Angeles',
+    geolocation: { latitude: 37.7749, longitude: -122.4194, accuracy: 100 }, // San Francisco
+    acceptLanguage: 'en-US,en;q=0.9',
+  },
+  'us-ny': {
+    id: 'us-ny',
+    label: 'United States (New York)',
+    locale: 'en-US',
+    timezone: 'America/New_York',
+    geolocation: { latitude: 40.7128, longitude: -74.006, accuracy: 100 },
+    acceptLanguage: 'en-US,en;q=0.9',
+  },
+  'ca-qc': {
+    id: 'ca-qc',
+    label: 'Canada (Quebec)',
+    locale: 'fr-CA',
+    timezone: 'America/Toronto',
+    geolocation: { latitude: 45.5019, longitude: -73.5674, accuracy: 100 }, // Montreal
+    acceptLanguage: 'fr-CA,fr;q=0.9,en;q=0.5',
+  },
+  gb: {
+    id: 'gb',
+    label: 'United Kingdom',
+    locale: 'en-GB',
+    timezone: 'Europe/London',
+    geolocation: { latitude: 51.5074, longitude: -0.1278, accuracy: 100 }, // London
+    acceptLanguage: 'en-GB,en;q=0.9',
+  },
+  de: {
+    id: 'de',
+    label: 'Germany',
+    locale: 'de-DE',
+    timezone: 'Europe/Berlin',
+    geolocation: { latitude: 52.52, longitude: 13.405, accuracy: 100 }, // Berlin
+    acceptLanguage: 'de-DE,de;q=0.9,en;q=0.5',
+  },
+  fr: {
+    id: 'fr',
+    label: 'France',
+    locale: 'fr-FR',
+    timezone: 'Europe/Paris',
+    geolocation: { latitude: 48.8566, longitude: 2.3522, accuracy: 100 }, // Paris
+    acceptLanguage: 'fr-FR,fr;q=0.9,en;q=0.5',
+  },
+  jp: {
+    id: 'jp',
+    label: 'Japan',
+    locale: 'ja-JP',
+    timezone: 'Asia/Tokyo',
+    geolocation: { latitude: 35.6762, longitude: 139.6503, accuracy: 100 }, // Tokyo
+    acceptLanguage: 'ja-JP,ja;q=0.9,en;q=0.5',
+  },
+  au: {
+    id: 'au',
+    label: 'Australia (Sydney)',
+    locale: 'en-AU',
+    timezone: 'Australia/Sydney',
+    geolocation: { latitude: -33.8688, longitude: 151.2093, accuracy: 100 },
+    acceptLanguage: 'en-AU,en;q=0.9',
+  },
+};
+
+export const DEFAULT_REGION = 'none';
+
+// Longest captureFullPage waits for network idle, fonts and images before capturing anyway.
+export const DEFAULT_SETTLE_TIMEOUT_MS = 15000;
+
+// Longest a capture waits for each RFC 3161 timestamp before recording it as failed.
+export const TSA_TIMEOUT_MS = 10000;
+
+/**
+ * What to do with position: fixed / sticky elements (headers, cookie bars,
+ * chat widgets) that would otherwise repeat across stitched clips.
+ */
+export const FIXED_ELEMENT_POLICIES = {
+  KEEP_TOP: 'keep-top',
+  HIDE: 'hide',
+  AS_IS: 'as-is',
+};
 
 export const STORAGE_KEYS = {
   SESSION: 'exemplar_session',
@@ -28,8 +173,58 @@ export const STORAGE_KEYS = {
   LAST_CAPTURE: 'exemplar_last_capture',
   STEP_COUNTER: 'exemplar_step_counter',
   FOLDER_NAME: 'exemplar_folder_name',
+  CAPTURE_TARGET: 'exemplar_capture_target',
+  COMPLIANCE_KEYWORDS: 'exemplar_compliance_keywords',
+  DISMISSAL_RULES: 'exemplar_dismissal_rules',
+  SCHEDULED_JOBS: 'exemplar_scheduled_jobs',
+  RUN_HISTORY: 'exemplar_run_history',
+  CHECKSUMS: 'exemplar_checksums',
+  TSA_URL: 'exemplar_tsa_url',
+  CAPTURE_JOB: 'exemplar_capture_job', // chrome.storage.session
 };
 
+/**
+ * Optional native (Page.printToPDF) PDF, by emulated CSS media type.
+ */
+export const NATIVE_PDF_MODES = {
+  OFF: 'off',
+  PRINT: 'print',
+  SCREEN: 'screen',
+};
+
+/**
+ * What part of the page a capture covers.
+ */
+export const CAPTURE_TARGETS = {
+  FULL_PAGE: 'full-page',
+  ELEMENT: 'element',
+  REGION: 'region',
+};
+
+/**
+ * Phases reported by captureFullPage and generatePdf through onProgress.
+ * `current`/`total` count scroll steps, clips and PDF pages respectively.
+ */
+export const PROGRESS_PHASES = {
+  PREPARING: 'preparing', // attaching, emulating the profile, dismissing banners
+  SETTLING: 'settling',   // pre-scrolling for lazy content
+  CAPTURING: 'capturing', // taking the clips
+  FINISHING: 'finishing', // restoring the page, web archive, native PDF
+  PDF: 'pdf',             // building the screenshot PDF
+};
+
+/**
+ * How often a scheduled job runs.
+ */
+export const SCHEDULE_FREQUENCIES = {
+  DAILY: 'daily',
+  WEEKLY: 'weekly',
+};
+
+/**
+ * Default compliance keywords. The list in use is editable in the setup
+ * form and stored under STORAGE_KEYS.COMPLIANCE_KEYWORDS.
+ */
 export const COMPLIANCE_KEYWORDS = [
   'refund',
   'cancel',
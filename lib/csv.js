@@ -1,7 +1,9 @@
 /**
- * Manifest CSV serialization for Exemplar Capture.
+ * Manifest CSV serialization (and CSV parsing for imports) for Exemplar Capture.
  */
 
+import { DEFAULT_LANGUAGE } from './constants.js';
+
 const CSV_HEADERS = [
   'Timestamp',
   'Version',
@@ -10,6 +12,7 @@ const CSV_HEADERS = [
   'StepOrIndex',
   'PageName',
   'LoginState',
+  'Profile',
   'Language',
   'Hostname',
   'FullURL',
@@ -18,6 +21,43 @@ const CSV_HEADERS = [
   'PDFFilename',
   'Description',
   'Duplicate',
+  'FixedElementPolicy',
+  'CaptureTarget',
+  'NativePDFFilename',
+  'MHTMLFilename',
+  'ComplianceKeywords',
+  'AnnotatedPNGFilename',
+  'DismissalRules',
+  'NetworkRequests',
+  'SettleTimeMs',
+  'SettleTimedOut',
+  'ExpandedElements',
+  'ChangedVsPrevious',
+  'ChangedPixelsPercent',
+  'ComparedWith',
+  'DiffFilename',
+  'ChromeVersion',
+  'UserAgent',
+  'Viewport',
+  'DevicePixelRatio',
+  'Timezone',
+  'BrowserLanguage',
+  'ExtensionVersion',
+  'FinalURL',
+  'Region',
+  'EmulatedLocale',
+  'EmulatedTimezone',
+  'EmulatedGeolocation',
+  'AcceptLanguage',
+  'PNGSHA256',
+  'PDFSHA256',
+  'NativePDFSHA256',
+  'MHTMLSHA256',
+  'AnnotatedPNGSHA256',
+  'TSAURL',
+  'TSATime',
+  'TimestampStatus',
+  'PDFConformance',
 ];
 
 /**
@@ -42,6 +82,7 @@ const HEADER_TO_KEY = {
   StepOrIndex: 'stepOrIndex',
   PageName: 'pageName',
   LoginState: 'loginState',
+  Profile: 'profile',
   Language: 'language',
   Hostname: 'hostname',
   FullURL: 'fullURL',
@@ -50,6 +91,43 @@ const HEADER_TO_KEY = {
   PDFFilename: 'pdfFilename',
   Description: 'description',
   Duplicate: 'duplicate',
+  FixedElementPolicy: 'fixedElementPolicy',
+  CaptureTarget: 'captureTarget',
+  NativePDFFilename: 'nativePdfFilename',
+  MHTMLFilename: 'mhtmlFilename',
+  ComplianceKeywords: 'complianceKeywords',
+  AnnotatedPNGFilename: 'annotatedPngFilename',
+  DismissalRules: 'dismissalRules',
+  NetworkRequests: 'networkRequests',
+  SettleTimeMs: 'settleTimeMs',
+  SettleTimedOut: 'settleTimedOut',
+  ExpandedElements: 'expandedElements',
+  ChangedVsPrevious: 'changedVsPrevious',
+  ChangedPixelsPercent: 'changedPixelsPercent',
+  ComparedWith: 'comparedWith',
+  DiffFilename: 'diffFilename',
+  ChromeVersion: 'chromeVersion',
+  UserAgent: 'userAgent',
+  Viewport: 'viewport',
+  DevicePixelRatio: 'devicePixelRatio',
+  Timezone: 'timezone',
+  BrowserLanguage: 'browserLanguage',
+  ExtensionVersion: 'extensionVersion',
+  FinalURL: 'finalURL',
+  Region: 'region',
+  EmulatedLocale: 'emulatedLocale',
+  EmulatedTimezone: 'emulatedTimezone',
+  EmulatedGeolocation: 'emulatedGeolocation',
+  AcceptLanguage: 'acceptLanguage',
+  PNGSHA256: 'pngSha256',
+  PDFSHA256: 'pdfSha256',
+  NativePDFSHA256: 'nativePdfSha256',
+  MHTMLSHA256: 'mhtmlSha256',
+  AnnotatedPNGSHA256: 'annotatedPngSha256',
+  TSAURL: 'tsaUrl',
+  TSATime: 'tsaTime',
+  TimestampStatus: 'timestampStatus',
+  PDFConformance: 'pdfConformance',
 };
 
 /**
@@ -82,6 +160,7 @@ export function createManifestRow({
   stepOrIndex,
   pageName,
   loginState,
+  profile,
   language,
   hostname,
   fullURL,
@@ -90,6 +169,43 @@ export function createManifestRow({
   pdfFilename,
   description,
   duplicate,
+  fixedElementPolicy,
+  captureTarget,
+  nativePdfFilename,
+  mhtmlFilename,
+  complianceKeywords,
+  annotatedPngFilename,
+  dismissalRules,
+  networkRequests,
+  settleTimeMs,
+  settleTimedOut,
+  expandedElements,
+  changedVsPrevious,
+  changedPixelsPercent,
+  comparedWith,
+  diffFilename,
+  chromeVersion,
+  userAgent,
+  viewport,
+  devicePixelRatio,
+  timezone,
+  browserLanguage,
+  extensionVersion,
+  finalURL,
+  region,
+  emulatedLocale,
+  emulatedTimezone,
+  emulatedGeolocation,
+  acceptLanguage,
+  pngSha256,
+  pdfSha256,
+  nativePdfSha256,
+  mhtmlSha256,
+  annotatedPngSha256,
+  tsaUrl,
+  tsaTime,
+  timestampStatus,
+  pdfConformance,
 }) {
   return {
     timestamp: timestamp || new Date().toLocaleString(),
@@ -99,7 +215,8 @@ export function createManifestRow({
     stepOrIndex: stepOrIndex ?? '',
     pageName: pageName || '',
     loginState: loginState || '',
-    language: language || 'en',
+    profile: profile || '',
+    language: language || DEFAULT_LANGUAGE,
     hostname: hostname || '',
     fullURL: fullURL || '',
     urlPath: urlPath || '',
@@ -107,5 +224,102 @@ export function createManifestRow({
     pdfFilename: pdfFilename || '',
     description: description || '',
     duplicate: duplicate ? 'true' : 'false',
+    fixedElementPolicy: fixedElementPolicy || '',
+    captureTarget: captureTarget || 'Full page',
+    nativePdfFilename: nativePdfFilename || '',
+    mhtmlFilename: mhtmlFilename || '',
+    complianceKeywords: complianceKeywords || '',
+    annotatedPngFilename: annotatedPngFilename || '',
+    dismissalRules: dismissalRules || '',
+    networkRequests: networkRequests ?? '',
+    settleTimeMs: settleTimeMs ?? '',
+    settleTimedOut: settleTimedOut ? 'true' : 'false',
+    expandedElements: expandedElements ?? '',
+    changedVsPrevious: changedVsPrevious ?? '',
+    changedPixelsPercent: changedPixelsPercent ?? '',
+    comparedWith: comparedWith || '',
+    diffFilename: diffFilename || '',
+    chromeVersion: chromeVersion || '',
+    userAgent: userAgent || '',
+    viewport: viewport || '',
+    devicePixelRatio: devicePixelRatio ?? '',
+    timezone: timezone || '',
+    browserLanguage: browserLanguage || '',
+    extensionVersion: extensionVersion || '',
+    finalURL: finalURL || '',
+    region: region || '',
+    emulatedLocale: emulatedLocale || '',
+    emulatedTimezone: emulatedTimezone || '',
+    emulatedGeolocation: emulatedGeolocation || '',
+    acceptLanguage: acceptLanguage || '',
+    pngSha256: pngSha256 || '',
+    pdfSha256: pdfSha256 || '',
+    nativePdfSha256: nativePdfSha256 || '',
+    mhtmlSha256: mhtmlSha256 || '',
+    annotatedPngSha256: annotatedPngSha256 || '',
+    tsaUrl: tsaUrl || '',
+    tsaTime: tsaTime || '',
+    timestampStatus: timestampStatus || '',
+    pdfConformance: pdfConformance || '',
+  };
+}
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, doubled quotes, CRLF or LF)
+ * into an array of rows, each an array of field strings. Blank lines are skipped.
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0].trim() !== '') rows.push(row);
+    row = [];
+    field = '';
   };
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length > 0) endRow();
+  return rows;
+}
+
+/**
+ * Read a manifest written by generateCsv back into row objects (values
+ * stay strings). Columns this version does not know are dropped.
+ */
+export function parseManifestCsv(text) {
+  const [headers = [], ...lines] = parseCsv(text);
+  return lines.map(fields => {
+    const row = {};
+    headers.forEach((header, i) => {
+      const key = HEADER_TO_KEY[header];
+      if (key) row[key] = fields[i] ?? '';
+    });
+    return row;
+  });
 }
@@ -0,0 +1,58 @@
+/**
+ * Description suggestions for Exemplar Capture.
+ * Builds a pre-filled description from the page content extracted
+ * during capture, shaped by the selected description mode.
+ */
+
+import { DESCRIPTION_MODES, COMPLIANCE_KEYWORDS } from './constants.js';
+
+const MAX_LIST_ITEMS = 6;
+
+function list(items, max = MAX_LIST_ITEMS) {
+  return items.slice(0, max).join('; ');
+}
+
+function mentionsKeyword(text, keywords) {
+  const lower = text.toLowerCase();
+  return keywords.some(kw => lower.includes(kw.toLowerCase()));
+}
+
+/**
+ * Build a suggested description.
+ *
+ * @param {object} content - { title, metaDescription, headings, ctas, prices } from captureFullPage.
+ * @param {string} mode - One of DESCRIPTION_MODES.
+ * @param {string[]} [keywords] - Compliance keywords used to pick policy-related text.
+ * @returns {string} Suggested description, or '' when nothing was extracted.
+ */
+export function buildDescription(content, mode, keywords = COMPLIANCE_KEYWORDS) {
+  if (!content) return '';
+  const headings = content.headings || [];
+  const ctas = content.ctas || [];
+  const prices = content.prices || [];
+  const purpose = headings[0] || content.title || '';
+
+  if (mode === DESCRIPTION_MODES.COMPLIANCE) {
+    const policyText = [...headings, ...ctas].filter(t => mentionsKeyword(t, keywords));
+    const parts = [purpose];
+    parts.push(policyText.length > 0
+      ? `Policy content: ${list(policyText)}`
+      : 'Policy content: none detected in headings or CTAs');
+    if (prices.length > 0) parts.push(`Prices: ${list(prices)}`);
+    return parts.filter(Boolean).join('. ') + '.';
+  }
+
+  if (mode === DESCRIPTION_MODES.VERBOSE) {
+    const parts = [];
+    if (content.title) parts.push(`Title: ${content.title}`);
+    if (headings.length > 0) parts.push(`Headings: ${list(headings)}`);
+    if (ctas.length > 0) parts.push(`CTAs: ${list(ctas)}`);
+    if (prices.length > 0) parts.push(`Prices: ${list(prices)}`);
+    if (content.metaDescription) parts.push(`Summary: ${content.metaDescription}`);
+    return parts.length > 0 ? parts.join('. ') + '.' : '';
+  }
+
+  // Short: page purpose + main CTA
+  if (!purpose) return ctas[0] ? `Main CTA: ${ctas[0]}` : '';
+  return ctas[0] ? `${purpose} — main CTA: ${ctas[0]}` : purpose;
+}
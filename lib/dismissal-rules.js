@@ -0,0 +1,153 @@
+/**
+ * Cookie banner / modal dismissal rules for Exemplar Capture.
+ *
+ * A rule applies to pages whose hostname matches one of its `hosts`
+ * patterns and is run by captureFullPage before pre-scrolling:
+ *
+ *   {
+ *     id: 'example-newsletter',       // recorded in the manifest when it fires
+ *     hosts: ['*.example.com'],       // '*' = any host, '*.x' = x and its subdomains
+ *     click: ['.modal .close'],       // clicked (first visible match per selector)
+ *     hide: ['#newsletter-overlay'],  // hidden with display: none, restored afterwards
+ *     css: 'body { overflow: auto !important; }', // injected, removed afterwards
+ *     expand: ['.faq .show-more'],    // clicked when "expand collapsed content" is on
+ *   }
+ *
+ * Built-in rules only hide consent UI rather than accepting or rejecting,
+ * so the capture does not change the site's consent state.
+ */
+
+// Undo scroll locks consent overlays put on <html>/<body>
+const UNLOCK_SCROLL_CSS = 'html, body { overflow: auto !important; position: static !important; }';
+
+export const BUILT_IN_DISMISSAL_RULES = [
+  {
+    id: 'onetrust',
+    hosts: ['*'],
+    hide: ['#onetrust-consent-sdk', '#onetrust-banner-sdk'],
+    css: UNLOCK_SCROLL_CSS,
+  },
+  {
+    id: 'cookiebot',
+    hosts: ['*'],
+    hide: ['#CybotCookiebotDialog', '#CybotCookiebotDialogBodyUnderlay'],
+    css: UNLOCK_SCROLL_CSS,
+  },
+  {
+    id: 'trustarc',
+    hosts: ['*'],
+    hide: ['#truste-consent-track', '#consent_blackbar', '.truste_overlay', '.truste_box_overlay'],
+    css: UNLOCK_SCROLL_CSS,
+  },
+  {
+    id: 'quantcast-choice',
+    hosts: ['*'],
+    hide: ['.qc-cmp2-container', '#qc-cmp2-container'],
+    css: UNLOCK_SCROLL_CSS,
+  },
+  {
+    id: 'didomi',
+    hosts: ['*'],
+    hide: ['#didomi-host'],
+    css: UNLOCK_SCROLL_CSS,
+  },
+  {
+    id: 'usercentrics',
+    hosts: ['*'],
+    hide: ['#usercentrics-root', '#usercentrics-cmp-ui'],
+  },
+  {
+    id: 'sourcepoint',
+    hosts: ['*'],
+    hide: ['div[id^="sp_message_container"]'],
+    css: UNLOCK_SCROLL_CSS,
+  },
+  {
+    id: 'osano',
+    hosts: ['*'],
+    hide: ['.osano-cm-window', '.osano-cm-dialog'],
+  },
+  {
+    id: 'cookieconsent',
+    hosts: ['*'],
+    hide: ['.cc-window.cc-banner', '.cc-window.cc-floating', '.cc-revoke'],
+  },
+  {
+    id: 'termly',
+    hosts: ['*'],
+    hide: ['#termly-code-snippet-support'],
+  },
+  {
+    id: 'complianz',
+    hosts: ['*'],
+    hide: ['#cmplz-cookiebanner-container', '.cmplz-cookiebanner'],
+  },
+  {
+    id: 'iubenda',
+    hosts: ['*'],
+    hide: ['#iubenda-cs-banner'],
+  },
+];
+
+/**
+ * Whether a hostname matches a rule host pattern.
+ */
+function hostMatches(pattern, hostname) {
+  if (pattern === '*') return true;
+  if (pattern.startsWith('*.')) {
+    const base = pattern.slice(2);
+    return hostname === base || hostname.endsWith(`.${base}`);
+  }
+  return hostname === pattern;
+}
+
+/**
+ * Rules that apply to the given hostname, in order.
+ */
+export function rulesForHost(rules, hostname) {
+  return rules.filter(rule => rule.hosts.some(pattern => hostMatches(pattern, hostname)));
+}
+
+/**
+ * Validate user-supplied rules (parsed JSON). Throws a descriptive Error
+ * for the first problem found; returns the rules otherwise.
+ */
+export function validateDismissalRules(rules) {
+  if (!Array.isArray(rules)) throw new Error('Dismissal rules must be a JSON array.');
+  const isStringList = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+  rules.forEach((rule, i) => {
+    const where = `Rule ${i + 1}`;
+    if (!rule || typeof rule !== 'object') throw new Error(`${where} must be an object.`);
+    if (typeof rule.id !== 'string' || !rule.id) throw new Error(`${where} needs an "id".`);
+    if (!isStringList(rule.hosts) || rule.hosts.length === 0) {
+      throw new Error(`${where} ("${rule.id}") needs a non-empty "hosts" list.`);
+    }
+    for (const key of ['click', 'hide', 'expand']) {
+      if (rule[key] !== undefined && !isStringList(rule[key])) {
+        throw new Error(`${where} ("${rule.id}"): "${key}" must be a list of selectors.`);
+      }
+    }
+    if (rule.css !== undefined && typeof rule.css !== 'string') {
+      throw new Error(`${where} ("${rule.id}"): "css" must be a string.`);
+    }
+    if (!rule.click && !rule.hide && !rule.css && !rule.expand) {
+      throw new Error(`${where} ("${rule.id}") has no click, hide, css or expand action.`);
+    }
+  });
+  return rules;
+}
+
+/**
+ * Manifest text for the rules that fired, e.g.
+ * "onetrust (hid 1, css); example-newsletter (clicked 1)".
+ */
+export function describeDismissals(fired) {
+  return (fired || []).map(({ id, clicked, hidden, css }) => {
+    const actions = [];
+    if (clicked) actions.push(`clicked ${clicked}`);
+    if (hidden) actions.push(`hid ${hidden}`);
+    if (css) actions.push('css');
+    return `${id} (${actions.join(', ')})`;
+  }).join('; ');
+}
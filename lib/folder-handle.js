@@ -0,0 +1,32 @@
+/**
+ * Persistence of the chosen save folder (a FileSystemDirectoryHandle) in
+ * IndexedDB (idb.js), shared by the popup, which picks the folder, and the
+ * offscreen document, which saves into it.
+ */
+
+import { DB_STORES, idbGet, idbPut, idbDelete } from './idb.js';
+
+const DIR_HANDLE_KEY = 'dirHandle';
+
+export async function saveDirHandle(handle) {
+  await idbPut(DB_STORES.HANDLES, DIR_HANDLE_KEY, handle);
+}
+
+export async function loadDirHandle() {
+  return idbGet(DB_STORES.HANDLES, DIR_HANDLE_KEY);
+}
+
+export async function clearDirHandle() {
+  await idbDelete(DB_STORES.HANDLES, DIR_HANDLE_KEY);
+}
+
+/**
+ * The saved folder if write permission is currently granted, else null.
+ * Never prompts, so it works without a user gesture.
+ */
+export async function grantedDirHandle() {
+  const handle = await loadDirHandle();
+  if (!handle) return null;
+  const permission = await handle.queryPermission({ mode: 'readwrite' });
+  return permission === 'granted' ? handle : null;
+}
@@ -0,0 +1,81 @@
+/**
+ * The extension's IndexedDB (ExemplarCaptureDB), shared by the popup and
+ * the offscreen document. It holds what chrome.storage cannot: the chosen
+ * folder's handle and the manifest signing key.
+ */
+
+const DB_NAME = 'ExemplarCaptureDB';
+const DB_VERSION = 2;
+
+export const DB_STORES = {
+  HANDLES: 'handles', // FileSystemDirectoryHandle (folder-handle.js)
+  KEYS: 'keys',       // Non-exportable CryptoKeyPair (signing.js), added in version 2
+};
+
+// One connection per extension page, opened on first use
+let connection = null;
+
+function openDB() {
+  if (!connection) {
+    connection = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onerror = () => {
+        connection = null;
+        reject(request.error);
+      };
+      request.onsuccess = () => {
+        const db = request.result;
+        // Let another page upgrade to a newer DB_VERSION; the next call reopens
+        db.onversionchange = () => {
+          db.close();
+          connection = null;
+        };
+        db.onclose = () => {
+          connection = null;
+        };
+        resolve(db);
+      };
+      request.onupgradeneeded = (e) => {
+        const db = e.target.result;
+        for (const store of Object.values(DB_STORES)) {
+          if (!db.objectStoreNames.contains(store)) db.createObjectStore(store);
+        }
+      };
+    });
+  }
+  return connection;
+}
+
+/**
+ * Run one request against a store and resolve with its result once the
+ * transaction has committed.
+ */
+async function run(storeName, mode, makeRequest) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = makeRequest(tx.objectStore(storeName));
+    request.onerror = () => reject(request.error);
+    tx.oncomplete = () => resolve(request.result);
+    tx.onabort = () => reject(tx.error || request.error || new DOMException('Transaction aborted', 'AbortError'));
+  });
+}
+
+export async function idbGet(storeName, key) {
+  return (await run(storeName, 'readonly', store => store.get(key))) ?? null;
+}
+
+export async function idbPut(storeName, key, value) {
+  await run(storeName, 'readwrite', store => store.put(value, key));
+}
+
+/**
+ * Store a value only if the key is free; rejects with a ConstraintError otherwise.
+ */
+export async function idbAdd(storeName, key, value) {
+  await run(storeName, 'readwrite', store => store.add(value, key));
+}
+
+export async function idbDelete(storeName, key) {
+  await run(storeName, 'readwrite', store => store.delete(key));
+}
@@ -2,7 +2,7 @@
  * File and folder naming conventions for Exemplar Capture.
  */
 
-import { MODES, LOGIN_STATES } from './constants.js';
+import { MODES, LOGIN_STATES, DEFAULT_LANGUAGE, LANGUAGE_AUTO } from './constants.js';
 
 /**
  * Remove non-alphanumeric characters (except hyphens) and convert to PascalCase.
@@ -23,57 +23,126 @@ export function formatState(state) {
   return state === LOGIN_STATES.LOGGED_IN ? 'LoggedIn' : 'LoggedOut';
 }
 
+/**
+ * Canonical BCP 47 tag for a language setting (e.g. "fr-ca" → "fr-CA"),
+ * or null when it is empty, "auto" or not a valid tag.
+ */
+export function normalizeLanguage(language) {
+  const tag = (language || '').trim();
+  if (!tag || tag === LANGUAGE_AUTO) return null;
+  try {
+    return Intl.getCanonicalLocales(tag)[0] || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * The language a capture is recorded under: the page's or session's own
+ * setting, else the page's `<html lang>` when set to auto, else the default.
+ */
+export function resolveLanguage(setting, documentLanguage) {
+  return normalizeLanguage(setting) || normalizeLanguage(documentLanguage) || DEFAULT_LANGUAGE;
+}
+
+/**
+ * Build the optional profile segment for filenames (e.g. "_Mobile").
+ */
+function profileSegment(profile) {
+  return profile ? `_${sanitize(profile)}` : '';
+}
+
+/**
+ * Build the optional artifact suffix segment (e.g. "_print").
+ */
+function suffixSegment(suffix) {
+  return suffix ? `_${suffix}` : '';
+}
+
 /**
  * Generate filename for Flow mode.
- * Pattern: Step{NN}_{PageName}_{State}_en_{Version}_{YYYY-MM-DD}.{ext}
+ * Pattern: Step{NN}_{PageName}[_{Profile}]_{State}_{Language}_{Version}_{YYYY-MM-DD}[_{suffix}].{ext}
  */
-export function flowFilename(step, pageName, state, version, date, ext) {
+export function flowFilename(step, pageName, state, version, date, ext, options = {}) {
   const s = String(step).padStart(2, '0');
   const p = sanitize(pageName);
   const st = formatState(state);
-  return `Step${s}_${p}_${st}_en_${version}_${date}.${ext}`;
+  const lang = resolveLanguage(options.language);
+  return `Step${s}_${p}${profileSegment(options.profile)}_${st}_${lang}_${version}_${date}${suffixSegment(options.suffix)}.${ext}`;
 }
 
 /**
  * Generate filename for Set mode.
- * Pattern: LP{NN}_{PageName}_{State}_en_{Version}_{YYYY-MM-DD}.{ext}
+ * Pattern: LP{NN}_{PageName}[_{Profile}]_{State}_{Language}_{Version}_{YYYY-MM-DD}[_{suffix}].{ext}
  */
-export function setFilename(index, pageName, state, version, date, ext) {
+export function setFilename(index, pageName, state, version, date, ext, options = {}) {
   const i = String(index).padStart(2, '0');
   const p = sanitize(pageName);
   const st = formatState(state);
-  return `LP${i}_${p}_${st}_en_${version}_${date}.${ext}`;
+  const lang = resolveLanguage(options.language);
+  return `LP${i}_${p}${profileSegment(options.profile)}_${st}_${lang}_${version}_${date}${suffixSegment(options.suffix)}.${ext}`;
 }
 
 /**
  * Generate filename based on mode.
+ * `options.profile` is the capture profile label to embed, if any;
+ * `options.language` is the capture's language (the default when unset);
+ * `options.suffix` distinguishes extra artifacts of the same capture (e.g. "print").
  */
-export function generateFilename(mode, stepOrIndex, pageName, state, version, date, ext) {
+export function generateFilename(mode, stepOrIndex, pageName, state, version, date, ext, options = {}) {
   if (mode === MODES.FLOW) {
-    return flowFilename(stepOrIndex, pageName, state, version, date, ext);
+    return flowFilename(stepOrIndex, pageName, state, version, date, ext, options);
   }
-  return setFilename(stepOrIndex, pageName, state, version, date, ext);
+  return setFilename(stepOrIndex, pageName, state, version, date, ext, options);
 }
 
 /**
  * Generate the folder path for saving artifacts.
- * Pattern: Exemplars/{YYYY-MM-DD}_{Version}/{Mode}_{Name}/
+ * Pattern: Exemplars/{YYYY-MM-DD}_{Version}/{Mode}_{Name}[/{Language}]/
+ * Captures go in a folder per language; the manifest sits above them.
  */
-export function generateFolderPath(date, version, mode, name) {
+export function generateFolderPath(date, version, mode, name, language) {
   const modePrefix = mode === MODES.FLOW ? 'Flow' : 'Set';
   const safeName = sanitize(name);
-  return `Exemplars/${date}_${version}/${modePrefix}_${safeName}`;
+  const languageFolder = language ? `/${resolveLanguage(language)}` : '';
+  return `Exemplars/${date}_${version}/${modePrefix}_${safeName}${languageFolder}`;
+}
+
+/**
+ * The capture folder a saved file is in: its path's
+ * `Exemplars/{YYYY-MM-DD}_{Version}/{Mode}_{Name}` part, as generateFolderPath
+ * builds it without a language.
+ */
+export function captureFolderOf(path) {
+  const segments = path.split('/');
+  return segments.slice(0, Math.min(3, segments.length - 1)).join('/');
 }
 
 /**
- * Generate full file path including folder.
+ * Generate full file path including folder. session.language is the
+ * capture's resolved language (see resolveLanguage).
  */
-export function generateFullPath(session, stepOrIndex, pageName, ext) {
-  const folder = generateFolderPath(session.date, session.version, session.mode, session.flowOrSetName);
-  const filename = generateFilename(session.mode, stepOrIndex, pageName, session.loginState, session.version, session.date, ext);
+export function generateFullPath(session, stepOrIndex, pageName, ext, options = {}) {
+  const language = resolveLanguage(session.language);
+  const folder = generateFolderPath(session.date, session.version, session.mode, session.flowOrSetName, language);
+  const filename = generateFilename(session.mode, stepOrIndex, pageName, session.loginState, session.version, session.date, ext, {
+    ...options,
+    language,
+  });
   return { folder, filename, fullPath: `${folder}/${filename}` };
 }
 
+/**
+ * Insert a suffix before a filename's extension, optionally replacing the extension.
+ * e.g. withSuffix('Step01_Home.png', 'tile01') → 'Step01_Home_tile01.png'
+ */
+export function withSuffix(filename, suffix, ext) {
+  const dot = filename.lastIndexOf('.');
+  const base = dot >= 0 ? filename.slice(0, dot) : filename;
+  const originalExt = dot >= 0 ? filename.slice(dot + 1) : '';
+  return `${base}_${suffix}.${ext || originalExt}`;
+}
+
 /**
  * Generate manifest filename.
  * Pattern: manifest_{YYYY-MM-DD}_{Version}.csv
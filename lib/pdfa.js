@@ -0,0 +1,409 @@
+/**
+ * PDF/A-2b archival output for Exemplar Capture's screenshot PDFs.
+ *
+ * jsPDF writes an image-only document that is already close to PDF/A: no
+ * fonts (with putOnlyUsedFonts), no transparency, no encryption, and a file
+ * ID in the trailer. preparePdfA hooks into jsPDF's output to add what is
+ * missing: an XMP metadata stream matching the document information
+ * dictionary, with the PDF/A identification, and an sRGB output intent
+ * (an ICC profile built here). checkPdfA then reads the finished file back
+ * and lists any required structure that is missing or forbidden feature
+ * that is present, so a file is never saved as PDF/A unchecked.
+ */
+
+/** Conformance level written, as recorded in the manifest. */
+export const PDF_A_CONFORMANCE = 'PDF/A-2b';
+
+const XMP_NAMESPACE = 'https://github.com/exemplar-capture/ns/capture/1.0/';
+const OUTPUT_CONDITION = 'sRGB IEC61966-2.1';
+
+// Document information entries and their XMP equivalents (ISO 19005-2, 6.6.2.3)
+const INFO_TO_XMP = {
+  Title: 'dc:title',
+  Author: 'dc:creator',
+  Subject: 'dc:description',
+  Keywords: 'pdf:Keywords',
+  Creator: 'xmp:CreatorTool',
+  Producer: 'pdf:Producer',
+};
+
+// ─── Text ───
+
+/**
+ * Text as a jsPDF document information entry reads back. Line breaks become
+ * LF and other control characters are dropped. jsPDF cannot escape a CR
+ * byte, which a PDF string reads back as LF, so characters whose UTF-16
+ * form would contain one are decomposed (č → c + ˇ) or else replaced.
+ */
+export function pdfSafeText(value) {
+  const text = String(value)
+    .replace(/\r\n?/g, '\n')
+    .replace(/[\x00-\x08\x0b\x0c\x0e-\x1f]/g, '');
+  const hasCrByte = units => Array.from({ length: units.length }, (_, i) => units.charCodeAt(i))
+    .some(unit => unit >> 8 === 0x0d || (unit & 0xff) === 0x0d);
+  let safe = '';
+  for (const ch of text) {
+    const units = hasCrByte(ch) ? ch.normalize('NFD') : ch;
+    safe += hasCrByte(units) ? '\ufffd' : units;
+  }
+  return safe;
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/** UTF-8 bytes of a string, one per character, as jsPDF writes output. */
+function utf8Binary(text) {
+  return String.fromCharCode(...new TextEncoder().encode(text));
+}
+
+function binaryToUtf8(binary) {
+  return new TextDecoder().decode(Uint8Array.from(binary, ch => ch.charCodeAt(0)));
+}
+
+/**
+ * XMP date for a Date, with the same local offset jsPDF writes in
+ * CreationDate (it writes UTC as -00'00').
+ */
+function xmpDate(date) {
+  const pad = n => String(n).padStart(2, '0');
+  const offset = date.getTimezoneOffset();
+  const zone = `${offset < 0 ? '+' : '-'}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}`;
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`
+    + `T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}${zone}`;
+}
+
+// ─── sRGB ICC Profile ───
+
+/**
+ * A compact ICC v2 display profile for sRGB: D50-adapted primaries and a
+ * 1024-point sRGB tone curve shared by the three channels.
+ */
+function buildSrgbProfile() {
+  const ascii = text => Array.from(text, ch => ch.charCodeAt(0));
+  const u16 = n => [(n >> 8) & 0xff, n & 0xff];
+  const u32 = n => [(n >>> 24) & 0xff, (n >> 16) & 0xff, (n >> 8) & 0xff, n & 0xff];
+  const s15Fixed16 = value => u32(Math.round(value * 65536) >>> 0);
+  const xyz = values => [...ascii('XYZ '), ...u32(0), ...values.flatMap(s15Fixed16)];
+  const D50 = [0.9642, 1.0, 0.8249];
+
+  const curve = [...ascii('curv'), ...u32(0), ...u32(1024)];
+  for (let i = 0; i < 1024; i++) {
+    const x = i / 1023;
+    const linear = x <= 0.04045 ? x / 12.92 : ((x + 0.055) / 1.055) ** 2.4;
+    curve.push(...u16(Math.round(linear * 65535)));
+  }
+  const description = [
+    ...ascii('desc'), ...u32(0), ...u32(OUTPUT_CONDITION.length + 1), ...ascii(OUTPUT_CONDITION), 0,
+    ...u32(0), ...u32(0), ...u16(0), 0, ...new Array(67).fill(0), // No Unicode or Mac description
+  ];
+  const tags = [
+    ['desc', description],
+    ['cprt', [...ascii('text'), ...u32(0), ...ascii('No copyright, use freely'), 0]],
+    ['wtpt', xyz(D50)],
+    ['rXYZ', xyz([0.4360747, 0.2225045, 0.0139322])],
+    ['gXYZ', xyz([0.3850649, 0.7168786, 0.0971045])],
+    ['bXYZ', xyz([0.1430804, 0.0606169, 0.7141733])],
+    ['rTRC', curve],
+    ['gTRC', curve],
+    ['bTRC', curve],
+  ];
+
+  // Tag data follows the tag table, 4-byte aligned; the curves share one copy
+  const table = [];
+  const data = [];
+  const offsets = new Map();
+  let offset = 128 + 4 + tags.length * 12;
+  for (const [signature, bytes] of tags) {
+    if (!offsets.has(bytes)) {
+      offsets.set(bytes, offset);
+      const padded = [...bytes, ...new Array((4 - bytes.length % 4) % 4).fill(0)];
+      data.push(...padded);
+      offset += padded.length;
+    }
+    table.push(...ascii(signature), ...u32(offsets.get(bytes)), ...u32(bytes.length));
+  }
+
+  const header = [
+    ...u32(offset), ...u32(0), ...u32(0x02100000), ...ascii('mntr'), ...ascii('RGB '), ...ascii('XYZ '),
+    ...[2026, 1, 1, 0, 0, 0].flatMap(u16), ...ascii('acsp'), ...new Array(24).fill(0),
+    ...u32(0), ...D50.flatMap(s15Fixed16), ...new Array(48).fill(0),
+  ];
+  return new Uint8Array([...header, ...u32(tags.length), ...table, ...data]);
+}
+
+let srgbProfile = null;
+
+// ─── XMP ───
+
+/**
+ * XMP packet with the PDF/A-2b identification, the equivalents of the
+ * document information entries, and the custom properties in an extension
+ * schema (which PDF/A requires to be described in the packet).
+ */
+function buildXmp({ info, createDate, properties }) {
+  const langAlt = text => `<rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(text)}</rdf:li></rdf:Alt>`;
+  const fields = [];
+  if (info.Title) fields.push(`<dc:title>${langAlt(info.Title)}</dc:title>`);
+  if (info.Author) fields.push(`<dc:creator><rdf:Seq><rdf:li>${escapeXml(info.Author)}</rdf:li></rdf:Seq></dc:creator>`);
+  if (info.Subject) fields.push(`<dc:description>${langAlt(info.Subject)}</dc:description>`);
+  if (info.Keywords) fields.push(`<pdf:Keywords>${escapeXml(info.Keywords)}</pdf:Keywords>`);
+  if (info.Creator) fields.push(`<xmp:CreatorTool>${escapeXml(info.Creator)}</xmp:CreatorTool>`);
+  fields.push(`<pdf:Producer>${escapeXml(info.Producer)}</pdf:Producer>`);
+  fields.push(`<xmp:CreateDate>${createDate}</xmp:CreateDate>`);
+  for (const [name, value] of properties) fields.push(`<exemplar:${name}>${escapeXml(value)}</exemplar:${name}>`);
+
+  const schemaProperties = properties.map(([name]) => '<rdf:li rdf:parseType="Resource">'
+    + `<pdfaProperty:name>${name}</pdfaProperty:name>`
+    + '<pdfaProperty:valueType>Text</pdfaProperty:valueType>'
+    + '<pdfaProperty:category>external</pdfaProperty:category>'
+    + `<pdfaProperty:description>Exemplar Capture ${name}</pdfaProperty:description>`
+    + '</rdf:li>').join('');
+
+  return '<?xpacket begin="\ufeff" id="W5M0MpCehiHzreSzNTczkc9d"?>\n'
+    + '<x:xmpmeta xmlns:x="adobe:ns:meta/">'
+    + '<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">'
+    + '<rdf:Description rdf:about=""'
+    + ' xmlns:pdfaid="http://www.aiim.org/pdfa/ns/id/"'
+    + ' xmlns:dc="http://purl.org/dc/elements/1.1/"'
+    + ' xmlns:pdf="http://ns.adobe.com/pdf/1.3/"'
+    + ' xmlns:xmp="http://ns.adobe.com/xap/1.0/"'
+    + ` xmlns:exemplar="${XMP_NAMESPACE}">`
+    + '<pdfaid:part>2</pdfaid:part><pdfaid:conformance>B</pdfaid:conformance>'
+    + fields.join('')
+    + '</rdf:Description>'
+    + '<rdf:Description rdf:about=""'
+    + ' xmlns:pdfaExtension="http://www.aiim.org/pdfa/ns/extension/"'
+    + ' xmlns:pdfaSchema="http://www.aiim.org/pdfa/ns/schema#"'
+    + ' xmlns:pdfaProperty="http://www.aiim.org/pdfa/ns/property#">'
+    + '<pdfaExtension:schemas><rdf:Bag><rdf:li rdf:parseType="Resource">'
+    + '<pdfaSchema:schema>Exemplar Capture</pdfaSchema:schema>'
+    + `<pdfaSchema:namespaceURI>${XMP_NAMESPACE}</pdfaSchema:namespaceURI>`
+    + '<pdfaSchema:prefix>exemplar</pdfaSchema:prefix>'
+    + `<pdfaSchema:property><rdf:Seq>${schemaProperties}</rdf:Seq></pdfaSchema:property>`
+    + '</rdf:li></rdf:Bag></pdfaExtension:schemas>'
+    + '</rdf:Description>'
+    + '</rdf:RDF></x:xmpmeta>\n'
+    + '<?xpacket end="w"?>';
+}
+
+// ─── Writing ───
+
+/**
+ * Make a jsPDF document (created with putOnlyUsedFonts) write PDF/A-2b:
+ * fix its creation date, and add the XMP metadata and sRGB output intent
+ * to the catalog. Call after its document properties are set.
+ *
+ * @param {object} pdf - The jsPDF document.
+ * @param {Array<[string, string]>} [properties] - Custom properties, also in the XMP.
+ */
+export function preparePdfA(pdf, properties = []) {
+  const createDate = new Date();
+  pdf.setCreationDate(createDate);
+  if (!srgbProfile) srgbProfile = buildSrgbProfile();
+
+  const documentProperties = pdf.__private__.getDocumentProperties();
+  const info = { Producer: `jsPDF ${window.jspdf.jsPDF.version}` };
+  for (const key of Object.keys(INFO_TO_XMP)) {
+    const value = documentProperties[key.toLowerCase()];
+    if (value) info[key] = decodePdfText(value);
+  }
+  const xmp = utf8Binary(buildXmp({
+    info,
+    createDate: xmpDate(createDate),
+    properties: properties.filter(([, value]) => value !== undefined && value !== '')
+      .map(([name, value]) => [name, pdfSafeText(value)]),
+  }));
+
+  const objects = {};
+  pdf.internal.events.subscribe('postPutResources', () => {
+    objects.profile = pdf.internal.newObject();
+    pdf.internal.write(`<< /N 3 /Alternate /DeviceRGB /Length ${srgbProfile.length} >>`);
+    pdf.internal.write('stream');
+    pdf.internal.write(String.fromCharCode(...srgbProfile));
+    pdf.internal.write('endstream');
+    pdf.internal.write('endobj');
+
+    objects.metadata = pdf.internal.newObject();
+    pdf.internal.write(`<< /Type /Metadata /Subtype /XML /Length ${xmp.length} >>`);
+    pdf.internal.write('stream');
+    pdf.internal.write(xmp);
+    pdf.internal.write('endstream');
+    pdf.internal.write('endobj');
+  });
+  pdf.internal.events.subscribe('putCatalog', () => {
+    pdf.internal.write(`/Metadata ${objects.metadata} 0 R`);
+    pdf.internal.write(`/OutputIntents [<< /Type /OutputIntent /S /GTS_PDFA1 /OutputConditionIdentifier (${OUTPUT_CONDITION})`
+      + ` /Info (${OUTPUT_CONDITION}) /DestOutputProfile ${objects.profile} 0 R >>]`);
+  });
+}
+
+// ─── Self-Check ───
+
+/**
+ * Decode a PDF text string's bytes: UTF-16BE after a byte order mark,
+ * otherwise one byte per character.
+ */
+function decodePdfText(binary) {
+  if (!binary.startsWith('\u00fe\u00ff')) return binary;
+  let text = '';
+  for (let i = 2; i + 1 < binary.length; i += 2) {
+    text += String.fromCharCode((binary.charCodeAt(i) << 8) | binary.charCodeAt(i + 1));
+  }
+  return text;
+}
+
+/**
+ * Read the PDF literal string starting at `start` (just after its opening
+ * parenthesis) and return its bytes.
+ */
+function readLiteralString(text, start) {
+  const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+  let value = '';
+  let depth = 0;
+  for (let i = start; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '\\') {
+      const next = text[++i];
+      value += escapes[next] ?? next;
+    } else if (ch === '(') {
+      depth++;
+      value += ch;
+    } else if (ch === ')') {
+      if (depth === 0) return value;
+      depth--;
+      value += ch;
+    } else {
+      value += ch;
+    }
+  }
+  return value;
+}
+
+/**
+ * The indirect objects of a PDF written by jsPDF, by number: each object's
+ * dictionary text and, for streams, the stream bytes cut by its /Length.
+ */
+function readObjects(text) {
+  const objects = new Map();
+  const objectPattern = /(\d+) 0 obj\s*/g;
+  let match;
+  while ((match = objectPattern.exec(text))) {
+    const start = objectPattern.lastIndex;
+    const end = text.indexOf('endobj', start);
+    if (end === -1) break;
+    const streamMatch = /^([\s\S]*?>>)\s*stream\r?\n/.exec(text.slice(start, end));
+    if (!streamMatch) {
+      objects.set(Number(match[1]), { dict: text.slice(start, end) });
+      objectPattern.lastIndex = end + 6;
+      continue;
+    }
+    const dict = streamMatch[1];
+    const dataStart = start + streamMatch[0].length;
+    const length = Number((dict.match(/\/Length (\d+)/) || [])[1]);
+    const stream = text.slice(dataStart, dataStart + length);
+    const terminated = /^\r?\n?endstream/.test(text.slice(dataStart + length, dataStart + length + 11));
+    objects.set(Number(match[1]), { dict, stream, terminated });
+    const streamEnd = text.indexOf('endobj', dataStart + length);
+    if (streamEnd === -1) break;
+    objectPattern.lastIndex = streamEnd + 6;
+  }
+  return objects;
+}
+
+function reference(dict, key) {
+  const match = dict.match(new RegExp(`/${key} (\\d+) 0 R`));
+  return match ? Number(match[1]) : null;
+}
+
+function xmpValue(doc, property) {
+  const [prefix, name] = property.split(':');
+  const namespaces = {
+    dc: 'http://purl.org/dc/elements/1.1/', pdf: 'http://ns.adobe.com/pdf/1.3/', xmp: 'http://ns.adobe.com/xap/1.0/',
+  };
+  const element = doc.getElementsByTagNameNS(namespaces[prefix], name)[0];
+  if (!element) return null;
+  const item = element.getElementsByTagNameNS('http://www.w3.org/1999/02/22-rdf-syntax-ns#', 'li')[0];
+  return (item || element).textContent;
+}
+
+/**
+ * Check a finished PDF (jsPDF's binary string output) for the structures
+ * PDF/A-2b requires and the features it forbids.
+ *
+ * @returns {string[]} Problems found; empty when the file passes.
+ */
+export function checkPdfA(text) {
+  const problems = [];
+  if (!/^%PDF-1\.[0-7]\r?\n%[\x80-\xff]{4}/.test(text)) {
+    problems.push('header is not followed by a binary comment');
+  }
+
+  const trailerAt = text.lastIndexOf('trailer');
+  const trailer = trailerAt === -1 ? '' : text.slice(trailerAt);
+  if (!/\/ID\s*\[\s*<[0-9A-Fa-f]+>\s*<[0-9A-Fa-f]+>\s*\]/.test(trailer)) problems.push('trailer has no file ID');
+  if (/\/Encrypt\b/.test(trailer)) problems.push('file is encrypted');
+
+  const objects = readObjects(text);
+  const dictionaries = [...objects.values()].map(object => object.dict).join('\n');
+  const forbidden = {
+    '/JavaScript': 'JavaScript', '/JS ': 'JavaScript', '/Launch': 'launch actions',
+    '/EmbeddedFiles': 'embedded files', '/LZWDecode': 'LZW compression', '/Interpolate true': 'image interpolation',
+    '/TR ': 'transfer functions', '/OPI': 'OPI comments', '/Subtype /PS': 'PostScript XObjects',
+  };
+  for (const [token, feature] of Object.entries(forbidden)) {
+    if (dictionaries.includes(token)) problems.push(`forbidden ${feature}`);
+  }
+  for (const object of objects.values()) {
+    if (/\/Type\s*\/Font\b/.test(object.dict) && !/\/FontFile[23]?\b/.test(dictionaries)) {
+      problems.push('a font is not embedded');
+      break;
+    }
+    if (object.stream !== undefined && !object.terminated) {
+      problems.push('a stream length does not match its data');
+      break;
+    }
+  }
+
+  const catalog = objects.get(reference(trailer, 'Root'));
+  if (!catalog) return [...problems, 'catalog not found'];
+
+  // Output intent with an embedded RGB profile
+  if (!/\/OutputIntents\s*\[\s*<<[^\]]*\/S \/GTS_PDFA1/.test(catalog.dict)) {
+    problems.push('no PDF/A output intent');
+  } else {
+    const profile = objects.get(reference(catalog.dict, 'DestOutputProfile'));
+    if (!profile || profile.stream === undefined) {
+      problems.push('output intent has no ICC profile');
+    } else if (profile.stream.slice(36, 40) !== 'acsp' || profile.stream.slice(16, 20) !== 'RGB '
+      || !/\/N 3\b/.test(profile.dict)) {
+      problems.push('output intent profile is not an RGB ICC profile');
+    }
+  }
+
+  // XMP metadata with the PDF/A identification, matching the information dictionary
+  const metadata = objects.get(reference(catalog.dict, 'Metadata'));
+  if (!metadata || metadata.stream === undefined) return [...problems, 'no XMP metadata stream'];
+  if (/\/Filter\b/.test(metadata.dict)) problems.push('XMP metadata stream is compressed');
+  const doc = new DOMParser().parseFromString(binaryToUtf8(metadata.stream), 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) return [...problems, 'XMP metadata is not well-formed'];
+  const pdfaId = name => doc.getElementsByTagNameNS('http://www.aiim.org/pdfa/ns/id/', name)[0]?.textContent;
+  if (pdfaId('part') !== '2' || pdfaId('conformance') !== 'B') problems.push('XMP does not identify PDF/A-2b');
+
+  const info = objects.get(reference(trailer, 'Info'));
+  for (const [key, property] of Object.entries(INFO_TO_XMP)) {
+    const at = info ? info.dict.indexOf(`/${key} (`) : -1;
+    if (at === -1) continue;
+    const value = decodePdfText(readLiteralString(info.dict, at + key.length + 3));
+    if (xmpValue(doc, property) !== value) problems.push(`${key} differs between the document information and XMP`);
+  }
+  if (info && /\/CreationDate \(/.test(info.dict) && !xmpValue(doc, 'xmp:CreateDate')) {
+    problems.push('CreationDate has no XMP equivalent');
+  }
+  return problems;
+}
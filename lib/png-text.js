@@ -0,0 +1,73 @@
+/**
+ * PNG text chunks for Exemplar Capture's PNG output.
+ *
+ * Canvas encoding writes no metadata, so the capture's details are spliced
+ * in after the IHDR chunk as tEXt chunks (Latin-1), or iTXt chunks (UTF-8)
+ * for text that Latin-1 cannot hold. Tools such as exiftool and
+ * ImageMagick's `identify -verbose` list them.
+ */
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (const byte of bytes) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function latin1Bytes(text) {
+  return Uint8Array.from(text, ch => ch.charCodeAt(0));
+}
+
+function chunk(type, data) {
+  const bytes = new Uint8Array(12 + data.length);
+  const view = new DataView(bytes.buffer);
+  view.setUint32(0, data.length);
+  bytes.set(latin1Bytes(type), 4);
+  bytes.set(data, 8);
+  view.setUint32(8 + data.length, crc32(bytes.subarray(4, 8 + data.length)));
+  return bytes;
+}
+
+/**
+ * tEXt chunk when the text is printable Latin-1, otherwise an uncompressed
+ * iTXt chunk. Keywords are 1–79 Latin-1 characters.
+ */
+function textChunk(keyword, text) {
+  if (/^[\x20-\x7e\xa0-\xff\n]*$/.test(text)) {
+    return chunk('tEXt', latin1Bytes(`${keyword}\0${text}`));
+  }
+  // keyword, compression flag and method, empty language tag and translated keyword
+  const header = latin1Bytes(`${keyword}\0\0\0\0\0`);
+  const utf8 = new TextEncoder().encode(text);
+  const data = new Uint8Array(header.length + utf8.length);
+  data.set(header);
+  data.set(utf8, header.length);
+  return chunk('iTXt', data);
+}
+
+/**
+ * Copy of a PNG Blob with text chunks added. Entries with an empty value
+ * are skipped.
+ *
+ * @param {Blob} blob - A PNG, e.g. from canvasToBlob.
+ * @param {Array<[string, *]>} entries - [keyword, text] pairs, in order.
+ * @returns {Promise<Blob>}
+ */
+export async function withPngText(blob, entries) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  if (!PNG_SIGNATURE.every((byte, i) => bytes[i] === byte)) throw new Error('Not a PNG');
+
+  // IHDR is always first: length, type, 13 data bytes, CRC
+  const ihdrEnd = PNG_SIGNATURE.length + 12 + new DataView(bytes.buffer).getUint32(PNG_SIGNATURE.length);
+  const chunks = entries
+    .filter(([, text]) => text !== undefined && text !== null && text !== '')
+    .map(([keyword, text]) => textChunk(keyword, String(text)));
+  return new Blob([bytes.subarray(0, ihdrEnd), ...chunks, bytes.subarray(ihdrEnd)], { type: 'image/png' });
+}
@@ -0,0 +1,137 @@
+/**
+ * Scheduled recapture jobs for Exemplar Capture.
+ *
+ * A job is a URL list plus the profile, login state, naming and capture
+ * options to run it with. Jobs and their run history live in
+ * chrome.storage.local; each job has a chrome.alarms alarm that wakes the
+ * service worker to run it.
+ * Shared by the popup (editing jobs, viewing history) and the service
+ * worker (running them).
+ */
+
+import { STORAGE_KEYS, SCHEDULE_FREQUENCIES } from './constants.js';
+
+const ALARM_PREFIX = 'exemplar-job:';
+const MAX_RUN_HISTORY = 50;
+
+const PERIOD_MINUTES = {
+  [SCHEDULE_FREQUENCIES.DAILY]: 24 * 60,
+  [SCHEDULE_FREQUENCIES.WEEKLY]: 7 * 24 * 60,
+};
+
+/** Status of a run in the history. */
+export const RUN_STATUS = {
+  RUNNING: 'running',
+  DONE: 'done',
+  FAILED: 'failed',
+  INTERRUPTED: 'interrupted',
+};
+
+// ─── Jobs ───
+
+export async function loadJobs() {
+  const stored = await chrome.storage.local.get(STORAGE_KEYS.SCHEDULED_JOBS);
+  return stored[STORAGE_KEYS.SCHEDULED_JOBS] || [];
+}
+
+/**
+ * Store the job list and bring the alarms in line with it.
+ */
+export async function saveJobs(jobs) {
+  await chrome.storage.local.set({ [STORAGE_KEYS.SCHEDULED_JOBS]: jobs });
+  await syncJobAlarms(jobs);
+}
+
+export function describeFrequency(frequency) {
+  return frequency === SCHEDULE_FREQUENCIES.WEEKLY ? 'Weekly' : 'Daily';
+}
+
+/**
+ * First scheduled time at or after `now`, stepping from the job's first run.
+ */
+export function nextRunTime(job, now = Date.now()) {
+  const periodMs = PERIOD_MINUTES[job.frequency] * 60 * 1000;
+  if (job.firstRun >= now) return job.firstRun;
+  const periodsElapsed = Math.ceil((now - job.firstRun) / periodMs);
+  return job.firstRun + periodsElapsed * periodMs;
+}
+
+// ─── Alarms ───
+
+function alarmName(jobId) {
+  return `${ALARM_PREFIX}${jobId}`;
+}
+
+/**
+ * The job id an alarm belongs to, or null for other alarms.
+ */
+export function jobIdForAlarm(name) {
+  return name.startsWith(ALARM_PREFIX) ? name.slice(ALARM_PREFIX.length) : null;
+}
+
+/**
+ * Create missing job alarms and clear alarms of deleted jobs. Alarms may
+ * not survive a browser restart, so the service worker calls this on
+ * startup too.
+ */
+export async function syncJobAlarms(jobs) {
+  const alarms = await chrome.alarms.getAll();
+  const wanted = new Set(jobs.map(job => alarmName(job.id)));
+
+  for (const alarm of alarms) {
+    if (jobIdForAlarm(alarm.name) && !wanted.has(alarm.name)) {
+      await chrome.alarms.clear(alarm.name);
+    }
+  }
+
+  const existing = new Set(alarms.map(alarm => alarm.name));
+  for (const job of jobs) {
+    if (existing.has(alarmName(job.id))) continue;
+    await chrome.alarms.create(alarmName(job.id), {
+      when: nextRunTime(job),
+      periodInMinutes: PERIOD_MINUTES[job.frequency],
+    });
+  }
+}
+
+/**
+ * When each job's alarm fires next, as { jobId: epoch ms }.
+ */
+export async function scheduledTimes() {
+  const times = {};
+  for (const alarm of await chrome.alarms.getAll()) {
+    const jobId = jobIdForAlarm(alarm.name);
+    if (jobId) times[jobId] = alarm.scheduledTime;
+  }
+  return times;
+}
+
+// ─── Run History ───
+
+export async function loadRunHistory() {
+  const stored = await chrome.storage.local.get(STORAGE_KEYS.RUN_HISTORY);
+  return stored[STORAGE_KEYS.RUN_HISTORY] || [];
+}
+
+/**
+ * Add a run to the front of the history, or update it if it is already there.
+ * Only the most recent MAX_RUN_HISTORY runs are kept.
+ */
+export async function recordRun(run) {
+  const history = (await loadRunHistory()).filter(r => r.id !== run.id);
+  history.unshift(run);
+  await chrome.storage.local.set({ [STORAGE_KEYS.RUN_HISTORY]: history.slice(0, MAX_RUN_HISTORY) });
+}
+
+/**
+ * Mark runs left "running" by a service worker that was shut down.
+ */
+export async function markInterruptedRuns() {
+  const history = await loadRunHistory();
+  if (!history.some(r => r.status === RUN_STATUS.RUNNING)) return;
+  await chrome.storage.local.set({
+    [STORAGE_KEYS.RUN_HISTORY]: history.map(r => (r.status === RUN_STATUS.RUNNING
+      ? { ...r, status: RUN_STATUS.INTERRUPTED, finishedAt: r.finishedAt || new Date().toISOString() }
+      : r)),
+  });
+}
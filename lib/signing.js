@@ -0,0 +1,179 @@
+/**
+ * Manifest signing for Exemplar Capture.
+ *
+ * Each installation has its own ECDSA P-256 key pair, generated with
+ * WebCrypto on first use and kept in IndexedDB (idb.js); the private key is
+ * not exportable. An exported manifest gets a detached signature over its
+ * exact bytes (`<manifest>.sig`, DER-encoded as OpenSSL expects) and the
+ * public key (`<manifest>.pem`), so it can be checked here or with
+ * `openssl dgst -sha256 -verify`.
+ */
+
+import { DB_STORES, idbGet, idbAdd } from './idb.js';
+import { sha256Hex, indexFiles } from './checksums.js';
+
+const KEY_PAIR_KEY = 'manifestSigning';
+const KEY_ALGORITHM = { name: 'ECDSA', namedCurve: 'P-256' };
+const SIGN_ALGORITHM = { name: 'ECDSA', hash: 'SHA-256' };
+const COORDINATE_BYTES = 32; // P-256 signatures are r ‖ s, 32 bytes each
+
+/** Detached signature file for a manifest. */
+export function signatureFilename(manifestFilename) {
+  return `${manifestFilename}.sig`;
+}
+
+/** Public key file for a manifest. */
+export function publicKeyFilename(manifestFilename) {
+  return `${manifestFilename}.pem`;
+}
+
+/**
+ * This installation's key pair, generated on first use. Extension pages may
+ * race to create it; the first one stored wins.
+ */
+async function loadKeyPair() {
+  const existing = await idbGet(DB_STORES.KEYS, KEY_PAIR_KEY);
+  if (existing) return existing;
+
+  const keyPair = await crypto.subtle.generateKey(KEY_ALGORITHM, false, ['sign', 'verify']);
+  try {
+    await idbAdd(DB_STORES.KEYS, KEY_PAIR_KEY, keyPair);
+    return keyPair;
+  } catch (err) {
+    if (err.name !== 'ConstraintError') throw err;
+    return idbGet(DB_STORES.KEYS, KEY_PAIR_KEY);
+  }
+}
+
+// ─── Encoding ───
+
+function toPem(der, label) {
+  const base64 = btoa(String.fromCharCode(...new Uint8Array(der)));
+  return `-----BEGIN ${label}-----\n${base64.match(/.{1,64}/g).join('\n')}\n-----END ${label}-----\n`;
+}
+
+function fromPem(pem) {
+  const base64 = pem.replace(/-----(BEGIN|END) [^-]+-----/g, '').replace(/\s+/g, '');
+  return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+}
+
+/**
+ * DER INTEGER for an unsigned big-endian number.
+ */
+function derInteger(bytes) {
+  let start = 0;
+  while (start < bytes.length - 1 && bytes[start] === 0) start++;
+  const value = [...bytes.slice(start)];
+  if (value[0] & 0x80) value.unshift(0); // Keep it positive
+  return [0x02, value.length, ...value];
+}
+
+/**
+ * WebCrypto's r ‖ s signature as an ASN.1 DER sequence (what OpenSSL reads).
+ */
+function rawToDer(raw) {
+  const r = derInteger(raw.slice(0, COORDINATE_BYTES));
+  const s = derInteger(raw.slice(COORDINATE_BYTES));
+  return new Uint8Array([0x30, r.length + s.length, ...r, ...s]);
+}
+
+/**
+ * A DER-encoded ECDSA signature back to r ‖ s.
+ */
+function derToRaw(der) {
+  if (der[0] !== 0x30) throw new Error('Not a DER-encoded ECDSA signature');
+  const raw = new Uint8Array(COORDINATE_BYTES * 2);
+  let offset = 2;
+  for (let i = 0; i < 2; i++) {
+    if (der[offset] !== 0x02) throw new Error('Not a DER-encoded ECDSA signature');
+    const length = der[offset + 1];
+    let value = der.slice(offset + 2, offset + 2 + length);
+    if (value.length > COORDINATE_BYTES) value = value.slice(value.length - COORDINATE_BYTES);
+    raw.set(value, (i + 1) * COORDINATE_BYTES - value.length);
+    offset += 2 + length;
+  }
+  return raw;
+}
+
+/** SHA-256 of a public key's SPKI bytes, in hex. */
+function fingerprint(spki) {
+  return sha256Hex(new Blob([spki]));
+}
+
+// ─── Sign & Verify ───
+
+/**
+ * Fingerprint of this installation's public key, shown so a signature can
+ * be matched to the machine that made it.
+ */
+export async function installationKeyFingerprint() {
+  const { publicKey } = await loadKeyPair();
+  return fingerprint(await crypto.subtle.exportKey('spki', publicKey));
+}
+
+/**
+ * Sign manifest content (as written: UTF-8) with this installation's key.
+ *
+ * @returns {Promise<{ signature: Blob, publicKey: Blob, fingerprint: string }>}
+ *   signature is DER; publicKey is a PEM SubjectPublicKeyInfo.
+ */
+export async function signManifest(csvContent) {
+  const { privateKey, publicKey } = await loadKeyPair();
+  const bytes = new TextEncoder().encode(csvContent);
+  const raw = new Uint8Array(await crypto.subtle.sign(SIGN_ALGORITHM, privateKey, bytes));
+  const spki = await crypto.subtle.exportKey('spki', publicKey);
+  return {
+    signature: new Blob([rawToDer(raw)], { type: 'application/octet-stream' }),
+    publicKey: new Blob([toPem(spki, 'PUBLIC KEY')], { type: 'application/x-pem-file' }),
+    fingerprint: await fingerprint(spki),
+  };
+}
+
+/**
+ * Check manifest bytes against a detached DER signature and a PEM public key.
+ *
+ * @returns {Promise<{ valid: boolean, fingerprint: string, ownKey: boolean }>}
+ *   ownKey is whether the key is this installation's.
+ */
+export async function verifyManifestSignature(manifestBytes, signatureBytes, publicKeyPem) {
+  const spki = fromPem(publicKeyPem);
+  const key = await crypto.subtle.importKey('spki', spki, KEY_ALGORITHM, false, ['verify']);
+  const signature = derToRaw(new Uint8Array(signatureBytes));
+  const valid = await crypto.subtle.verify(SIGN_ALGORITHM, key, signature, manifestBytes);
+  const keyFingerprint = await fingerprint(spki);
+  return { valid, fingerprint: keyFingerprint, ownKey: keyFingerprint === await installationKeyFingerprint() };
+}
+
+/**
+ * Verify every signed manifest under a folder: each `<manifest>.sig` with
+ * the manifest and `<manifest>.pem` beside it.
+ *
+ * @returns {Promise<Array<{ manifest: string, valid: boolean, fingerprint?: string,
+ *   ownKey?: boolean, error?: string }>>} error is set when the check could not run.
+ */
+export async function verifyFolderSignatures(dirHandle) {
+  const files = await indexFiles(dirHandle);
+  const results = [];
+  for (const [path, signatureHandle] of files) {
+    if (!path.endsWith('.csv.sig')) continue;
+    const manifestPath = path.slice(0, -'.sig'.length);
+    const manifestHandle = files.get(manifestPath);
+    const keyHandle = files.get(publicKeyFilename(manifestPath));
+    if (!manifestHandle || !keyHandle) {
+      const missing = manifestHandle ? publicKeyFilename(manifestPath.split('/').pop()) : 'the manifest';
+      results.push({ manifest: manifestPath, valid: false, error: `Cannot check: ${missing} is missing` });
+      continue;
+    }
+    try {
+      const result = await verifyManifestSignature(
+        await (await manifestHandle.getFile()).arrayBuffer(),
+        await (await signatureHandle.getFile()).arrayBuffer(),
+        await (await keyHandle.getFile()).text()
+      );
+      results.push({ manifest: manifestPath, ...result });
+    } catch (err) {
+      results.push({ manifest: manifestPath, valid: false, error: `Cannot check: ${err.message}` });
+    }
+  }
+  return results;
+}
@@ -0,0 +1,84 @@
+/**
+ * Tab helpers for Exemplar Capture batch capture.
+ */
+
+const CAPTURABLE_PROTOCOLS = ['http:', 'https:', 'file:'];
+
+/**
+ * Whether a URL can be captured (browser-internal pages cannot).
+ */
+export function isCapturableUrl(url) {
+  try {
+    return CAPTURABLE_PROTOCOLS.includes(new URL(url).protocol);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Run fn while the tab is visible, so Chrome paints it for the screenshot.
+ *
+ * The active tab already is. A background tab is moved into an unfocused
+ * working window for the duration (moving keeps the page state, nothing
+ * reloads) and put back at its original position afterwards. The popup
+ * keeps focus, so it stays open.
+ */
+export async function withVisibleTab(tab, fn) {
+  if (tab.active) return fn();
+
+  await chrome.windows.create({ tabId: tab.id, focused: false, state: 'normal' });
+  try {
+    return await fn();
+  } finally {
+    // The working window closes by itself once its only tab moves out
+    await chrome.tabs.move(tab.id, { windowId: tab.windowId, index: tab.index })
+      .catch(err => console.warn('Could not move tab back:', err));
+  }
+}
+
+// ─── Working Tab ───
+
+const NAVIGATION_TIMEOUT_MS = 30000;
+
+/**
+ * Open a blank tab in a new unfocused window for unattended captures.
+ * Close it with closeWorkingTab.
+ */
+export async function openWorkingTab() {
+  const win = await chrome.windows.create({ url: 'about:blank', focused: false, state: 'normal' });
+  return win.tabs[0];
+}
+
+export async function closeWorkingTab(tab) {
+  await chrome.windows.remove(tab.windowId).catch(() => {});
+}
+
+/**
+ * Navigate a tab and wait for the load to complete.
+ * Resolves with the loaded tab (final URL and title after redirects).
+ */
+export function navigateAndWait(tabId, url, timeoutMs = NAVIGATION_TIMEOUT_MS) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      chrome.tabs.onUpdated.removeListener(onUpdated);
+      reject(new Error(`Page did not finish loading within ${Math.round(timeoutMs / 1000)}s.`));
+    }, timeoutMs);
+
+    function onUpdated(updatedId, changeInfo, tab) {
+      // Skip the blank page the working tab opened with (its URL is hidden
+      // from us, as it is outside the host permissions)
+      if (updatedId !== tabId || changeInfo.status !== 'complete') return;
+      if (!tab.url || tab.url === 'about:blank') return;
+      clearTimeout(timer);
+      chrome.tabs.onUpdated.removeListener(onUpdated);
+      resolve(tab);
+    }
+
+    chrome.tabs.onUpdated.addListener(onUpdated);
+    chrome.tabs.update(tabId, { url }).catch((err) => {
+      clearTimeout(timer);
+      chrome.tabs.onUpdated.removeListener(onUpdated);
+      reject(err);
+    });
+  });
+}
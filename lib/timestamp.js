@@ -0,0 +1,181 @@
+/**
+ * RFC 3161 trusted timestamps for Exemplar Capture artifacts.
+ *
+ * A Time Stamping Authority (TSA) signs an artifact's SHA-256 digest
+ * together with its own clock's time, so the capture time no longer rests
+ * on the local clock alone. The TSA's reply (a TimeStampResp, as
+ * `openssl ts -reply` writes it) is saved next to the artifact as
+ * `<file>.tsr` and can be checked with `openssl ts -verify`.
+ */
+
+import { TSA_TIMEOUT_MS } from './constants.js';
+
+const SHA256_ALGORITHM_ID = [
+  0x30, 0x0d, 0x06, 0x09, 0x60, 0x86, 0x48, 0x01, 0x65, 0x03, 0x04, 0x02, 0x01, 0x05, 0x00,
+];
+
+// PKIStatus values (RFC 3161 §2.4.2)
+const STATUS_NAMES = ['granted', 'granted with modifications', 'rejection', 'waiting', 'revocation warning', 'revoked'];
+
+/** Filename of the timestamp token saved next to an artifact. */
+export function timestampFilename(filename) {
+  return `${filename}.tsr`;
+}
+
+// ─── DER ───
+
+function derLength(length) {
+  if (length < 0x80) return [length];
+  const bytes = [];
+  for (let n = length; n > 0; n = Math.floor(n / 256)) bytes.unshift(n & 0xff);
+  return [0x80 | bytes.length, ...bytes];
+}
+
+function der(tag, content) {
+  return [tag, ...derLength(content.length), ...content];
+}
+
+/**
+ * Tag and content bounds of the DER element at `offset`.
+ */
+function readElement(bytes, offset) {
+  if (offset + 2 > bytes.length) throw new Error('Truncated DER');
+  const tag = bytes[offset];
+  let length = bytes[offset + 1];
+  let start = offset + 2;
+  if (length & 0x80) {
+    const count = length & 0x7f;
+    length = 0;
+    for (let i = 0; i < count; i++) length = length * 256 + bytes[start++];
+  }
+  if (start + length > bytes.length) throw new Error('Truncated DER');
+  return { tag, start, end: start + length };
+}
+
+function children(bytes, { start, end }) {
+  const list = [];
+  for (let offset = start; offset < end;) {
+    const element = readElement(bytes, offset);
+    list.push(element);
+    offset = element.end;
+  }
+  return list;
+}
+
+function hex(bytes, { start, end }) {
+  return Array.from(bytes.slice(start, end), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/** Content of an INTEGER without leading zero bytes, as hex. */
+function integerHex(bytes, { start, end }) {
+  let i = start;
+  while (i < end - 1 && bytes[i] === 0) i++;
+  return hex(bytes, { start: i, end });
+}
+
+function contentText(bytes, { start, end }) {
+  return new TextDecoder().decode(bytes.slice(start, end));
+}
+
+// ─── Request & Response ───
+
+/**
+ * DER TimeStampReq for a SHA-256 digest, asking for the TSA's certificate
+ * to be included in the token.
+ */
+function buildRequest(sha256, nonce) {
+  const digest = sha256.match(/../g).map(pair => parseInt(pair, 16));
+  const messageImprint = der(0x30, [...SHA256_ALGORITHM_ID, ...der(0x04, digest)]);
+  const nonceBytes = nonce[0] & 0x80 ? [0, ...nonce] : [...nonce];
+  return new Uint8Array(der(0x30, [
+    ...der(0x02, [1]),          // version
+    ...messageImprint,
+    ...der(0x02, nonceBytes),   // nonce
+    ...der(0x01, [0xff]),       // certReq
+  ]));
+}
+
+/**
+ * GeneralizedTime ("20260209143005.123Z") as an ISO 8601 string.
+ */
+function parseGeneralizedTime(text) {
+  const match = text.match(/^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})(\.\d+)?Z$/);
+  if (!match) throw new Error(`Unexpected TSA time "${text}"`);
+  const [, year, month, day, hour, minute, second, fraction = ''] = match;
+  return new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}${fraction}Z`).toISOString();
+}
+
+/**
+ * The parts of a TimeStampResp that are checked: the status (with the
+ * TSA's reason) and, when granted, the token's digest, nonce and time.
+ */
+function parseResponse(bytes) {
+  const [statusInfo, token] = children(bytes, readElement(bytes, 0));
+  const [status, ...statusDetails] = children(bytes, statusInfo);
+  const freeText = statusDetails.find(element => element.tag === 0x30);
+  const result = {
+    status: parseInt(integerHex(bytes, status), 16),
+    reason: freeText ? children(bytes, freeText).map(text => contentText(bytes, text)).join('; ') : '',
+  };
+  if (!token) return result;
+
+  // ContentInfo → [0] SignedData → encapContentInfo → [0] OCTET STRING → TSTInfo
+  const signedData = children(bytes, children(bytes, token)[1])[0];
+  const encapContentInfo = children(bytes, signedData)[2];
+  const eContent = children(bytes, children(bytes, encapContentInfo)[1])[0];
+  const [, , messageImprint, , genTime, ...optional] = children(bytes, readElement(bytes, eContent.start));
+  const nonce = optional.find(element => element.tag === 0x02);
+  return {
+    ...result,
+    digest: hex(bytes, children(bytes, messageImprint)[1]),
+    nonce: nonce ? integerHex(bytes, nonce) : '',
+    genTime: parseGeneralizedTime(contentText(bytes, genTime)),
+  };
+}
+
+/**
+ * Ask a TSA to timestamp a SHA-256 digest.
+ *
+ * @param {string} tsaUrl - The TSA's HTTP(S) endpoint.
+ * @param {string} sha256 - Hex digest of the artifact.
+ * @param {object} [options]
+ * @param {number} [options.timeoutMs] - Give up after this long.
+ * @returns {Promise<{ token: Blob, genTime: string }>} token is the TSA's
+ *   response, to save as `.tsr`; genTime is the TSA's time (ISO 8601, UTC).
+ *   Rejects with a short reason when the TSA is unreachable or refuses.
+ */
+export async function requestTimestamp(tsaUrl, sha256, { timeoutMs = TSA_TIMEOUT_MS } = {}) {
+  const nonce = crypto.getRandomValues(new Uint8Array(8));
+  let response;
+  try {
+    response = await fetch(tsaUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/timestamp-query' },
+      body: buildRequest(sha256, nonce),
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+  } catch (err) {
+    throw new Error(err.name === 'TimeoutError'
+      ? `TSA did not answer within ${timeoutMs / 1000}s`
+      : `TSA unreachable (${err.message})`);
+  }
+  if (!response.ok) throw new Error(`TSA returned HTTP ${response.status}`);
+
+  const bytes = new Uint8Array(await response.arrayBuffer());
+  let reply;
+  try {
+    reply = parseResponse(bytes);
+  } catch (err) {
+    throw new Error(`Invalid TSA response (${err.message})`);
+  }
+  if (reply.status > 1) {
+    const name = STATUS_NAMES[reply.status] || `status ${reply.status}`;
+    throw new Error(`TSA refused the request (${name}${reply.reason ? `: ${reply.reason}` : ''})`);
+  }
+  if (!reply.genTime) throw new Error('TSA response has no timestamp token');
+  if (reply.digest !== sha256) throw new Error('TSA token is for a different digest');
+  if (reply.nonce !== integerHex(nonce, { start: 0, end: nonce.length })) {
+    throw new Error('TSA token does not echo the request nonce');
+  }
+  return { token: new Blob([bytes], { type: 'application/timestamp-reply' }), genTime: reply.genTime };
+}
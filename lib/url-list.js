@@ -0,0 +1,103 @@
+/**
+ * URL-list imports for Exemplar Capture.
+ *
+ * Accepts either a pasted list with one URL per line, or CSV with the
+ * columns URL, page name, login state, description, language. A header row is
+ * optional; when present its column names (any case and spacing, e.g.
+ * "Page Name" or "pageName") set the column order.
+ */
+
+import { LOGIN_STATES } from './constants.js';
+import { parseCsv } from './csv.js';
+import { normalizeLanguage } from './naming.js';
+import { isCapturableUrl } from './tabs.js';
+
+const COLUMN_ALIASES = {
+  url: ['url', 'fullurl', 'link'],
+  pageName: ['pagename', 'name', 'page'],
+  loginState: ['loginstate', 'state', 'login'],
+  description: ['description', 'desc', 'notes'],
+  language: ['language', 'lang', 'locale'],
+};
+const POSITIONAL_COLUMNS = ['url', 'pageName', 'loginState', 'description', 'language'];
+
+function normalizeHeader(value) {
+  return value.toLowerCase().replace(/[^a-z]/g, '');
+}
+
+/**
+ * Map a header row to { column: index }, or null if it is not a header.
+ */
+function headerColumns(row) {
+  const names = row.map(normalizeHeader);
+  const columns = {};
+  for (const [column, aliases] of Object.entries(COLUMN_ALIASES)) {
+    const index = names.findIndex(name => aliases.includes(name));
+    if (index >= 0) columns[column] = index;
+  }
+  return columns.url === undefined ? null : columns;
+}
+
+/**
+ * Parse a login state cell. Empty means "use the default"; returns
+ * undefined for values that are not recognised.
+ */
+function parseLoginState(value) {
+  const normalized = value.toLowerCase().replace(/[^a-z]/g, '');
+  if (!normalized) return null;
+  if (['loggedin', 'in', 'yes', 'true'].includes(normalized)) return LOGIN_STATES.LOGGED_IN;
+  if (['loggedout', 'out', 'no', 'false'].includes(normalized)) return LOGIN_STATES.LOGGED_OUT;
+  return undefined;
+}
+
+/**
+ * Parse an imported URL list.
+ *
+ * @param {string} text - Pasted text or the contents of a .csv/.txt file.
+ * @returns {{ entries: Array, errors: Array }} entries are
+ *   { row, url, pageName, loginState, description, language } with empty
+ *   strings (and a null loginState) for missing values; errors are
+ *   { row, message }. row is the 1-based CSV row, not counting blank lines.
+ */
+export function parseUrlList(text) {
+  const rows = parseCsv(text.replace(/^\uFEFF/, ''));
+  const entries = [];
+  const errors = [];
+  if (rows.length === 0) return { entries, errors };
+
+  const header = headerColumns(rows[0]);
+  const columns = header || Object.fromEntries(POSITIONAL_COLUMNS.map((column, i) => [column, i]));
+  const firstDataRow = header ? 1 : 0;
+
+  for (let i = firstDataRow; i < rows.length; i++) {
+    const row = rows[i];
+    const rowNumber = i + 1;
+    const cell = column => (columns[column] === undefined ? '' : (row[columns[column]] || '').trim());
+
+    const url = cell('url');
+    if (!isCapturableUrl(url)) {
+      errors.push({ row: rowNumber, message: `Not an http(s) or file URL: ${url || '(empty)'}` });
+      continue;
+    }
+    const loginState = parseLoginState(cell('loginState'));
+    if (loginState === undefined) {
+      errors.push({ row: rowNumber, message: `Unknown login state "${cell('loginState')}" (use Logged In or Logged Out)` });
+      continue;
+    }
+    const language = cell('language') && normalizeLanguage(cell('language'));
+    if (language === null) {
+      errors.push({ row: rowNumber, message: `Unknown language "${cell('language')}" (use a tag such as en or fr-CA)` });
+      continue;
+    }
+    entries.push({
+      row: rowNumber,
+      url,
+      pageName: cell('pageName'),
+      loginState,
+      description: cell('description'),
+      language,
+    });
+  }
+
+  return { entries, errors };
+}
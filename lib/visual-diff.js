@@ -0,0 +1,436 @@
+/**
+ * Visual comparison of two captures of the same page for Exemplar Capture.
+ *
+ * Captures are found through the manifests in a folder of earlier
+ * artifacts, plus the running session's manifest: each row names its PNG
+ * (or the JSON index of a tiled PNG), which is looked up by filename
+ * anywhere under the folder. Captures of the same URL key, profile,
+ * region and language can be compared; the diff fades the newer capture and paints changed pixels
+ * red, with the changed regions outlined.
+ *
+ * Needs a DOM (canvas), so it runs in the popup.
+ */
+
+import { LOGIN_STATES } from './constants.js';
+import { parseManifestCsv, generateCsv } from './csv.js';
+import { withSuffix } from './naming.js';
+import { getUrlKey } from './capture-job.js';
+import { MAX_CANVAS_HEIGHT, canvasToBlob, saveBlobViaFSA } from './capture-engine.js';
+import { withPngText } from './png-text.js';
+import { CHECKSUMS_FILENAME, sha256Hex, formatChecksums, parseChecksums } from './checksums.js';
+
+const DIFF_THRESHOLD = 32;   // largest channel difference still treated as unchanged (anti-aliasing)
+const BAND_HEIGHT = 512;     // rows compared at a time, so no full-height canvas is needed
+const CELL_SIZE = 16;        // grid (px) on which changed pixels are grouped into regions
+const CHANGED_COLOR = [220, 38, 38]; // Same red as keyword highlights
+const SEPARATOR_GRAY = 0x6b; // drawOverlay's separator line under the header (#6b6b6b)
+const MAX_HEADER_SCAN = 2000; // rows searched for the separator
+
+const MANIFEST_PATTERN = /^manifest_.*\.csv$/;
+
+// ─── Finding Captures ───
+
+/**
+ * Walk a folder, indexing every file by name and collecting manifests.
+ */
+async function indexFolder(dirHandle, path = '', index = { files: new Map(), manifests: [] }) {
+  for await (const entry of dirHandle.values()) {
+    const entryPath = path ? `${path}/${entry.name}` : entry.name;
+    if (entry.kind === 'directory') {
+      await indexFolder(entry, entryPath, index);
+    } else {
+      const file = { handle: entry, dir: dirHandle, path: entryPath };
+      if (!index.files.has(entry.name)) index.files.set(entry.name, file);
+      if (MANIFEST_PATTERN.test(entry.name)) index.manifests.push(file);
+    }
+  }
+  return index;
+}
+
+function loginStateValue(label) {
+  return label === 'Logged In' ? LOGIN_STATES.LOGGED_IN : LOGIN_STATES.LOGGED_OUT;
+}
+
+/**
+ * Every capture under `dirHandle` whose PNG can be found, grouped by page:
+ * URL key (path + login state), profile, region and language. Rows of the running session
+ * (`sessionRows`) are included when their files are in the folder.
+ *
+ * @returns {Promise<Array<{ key, label, captures }>>} Pages with at least two
+ *   captures, each capture { id, row, image, manifest } oldest first;
+ *   manifest is the CSV file it came from, or null for the session.
+ */
+export async function findComparablePages(dirHandle, sessionRows = []) {
+  const index = await indexFolder(dirHandle);
+  const sources = [];
+  for (const manifest of index.manifests) {
+    const text = await (await manifest.handle.getFile()).text();
+    sources.push({ manifest, rows: parseManifestCsv(text) });
+  }
+  sources.push({ manifest: null, rows: sessionRows });
+
+  const seen = new Set();
+  const pages = new Map();
+  for (const { manifest, rows } of sources) {
+    for (const row of rows) {
+      const image = index.files.get(row.pngFilename);
+      if (!image || seen.has(row.pngFilename)) continue;
+      seen.add(row.pngFilename);
+
+      const key = `${getUrlKey(row.urlPath, loginStateValue(row.loginState))}|${row.profile}|${row.region}|${row.language}`;
+      if (!pages.has(key)) {
+        pages.set(key, {
+          key,
+          label: `${row.pageName} — ${row.urlPath} (${[row.loginState, row.profile, row.region, row.language].filter(Boolean).join(', ')})`,
+          captures: [],
+        });
+      }
+      pages.get(key).captures.push({ id: row.pngFilename, row, image, manifest });
+    }
+  }
+
+  return [...pages.values()]
+    .filter(page => page.captures.length > 1)
+    .map(page => ({
+      ...page,
+      captures: page.captures.sort((a, b) => (Date.parse(a.row.timestamp) || 0) - (Date.parse(b.row.timestamp) || 0)),
+    }))
+    .sort((a, b) => a.label.localeCompare(b.label));
+}
+
+/**
+ * Short description of a capture for pickers.
+ */
+export function describeCapture(capture) {
+  const { version, timestamp, stepOrIndex } = capture.row;
+  return `${version || 'no version'} · ${timestamp} · #${stepOrIndex}`;
+}
+
+// ─── Loading Images ───
+
+/**
+ * Height of the overlay header at the top of a single PNG: the header is
+ * white and ends with a full-width grey separator line. 0 when not found.
+ */
+function detectHeaderHeight(bitmap) {
+  const height = Math.min(bitmap.height, MAX_HEADER_SCAN);
+  const canvas = document.createElement('canvas');
+  canvas.width = bitmap.width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(bitmap, 0, 0);
+  const { data } = ctx.getImageData(0, 0, bitmap.width, height);
+
+  if (data[0] !== 255 || data[1] !== 255 || data[2] !== 255) return 0;
+  const isSeparator = (y) => {
+    for (let x = 0; x < bitmap.width; x++) {
+      const i = (y * bitmap.width + x) * 4;
+      if (data[i] !== SEPARATOR_GRAY || data[i + 1] !== SEPARATOR_GRAY || data[i + 2] !== SEPARATOR_GRAY) return false;
+    }
+    return true;
+  };
+
+  for (let y = 0; y < height; y++) {
+    if (!isSeparator(y)) continue;
+    let end = y;
+    while (end < height && isSeparator(end)) end++;
+    return end;
+  }
+  return 0;
+}
+
+/**
+ * Load a capture's PNG, or the tiles of a tiled PNG, as bitmaps stacked
+ * top to bottom. With `ignoreHeader`, headerHeight is the height of the
+ * overlay header so the comparison starts at the page content.
+ *
+ * @returns {Promise<{ tiles: Array<{ bitmap, y, height }>, width, height, headerHeight }>}
+ */
+export async function loadCaptureImage(capture, { ignoreHeader = true } = {}) {
+  const { handle, dir } = capture.image;
+
+  if (!capture.row.pngFilename.endsWith('.json')) {
+    const bitmap = await createImageBitmap(await handle.getFile());
+    return {
+      tiles: [{ bitmap, y: 0, height: bitmap.height }],
+      width: bitmap.width,
+      height: bitmap.height,
+      headerHeight: ignoreHeader ? detectHeaderHeight(bitmap) : 0,
+    };
+  }
+
+  const index = JSON.parse(await (await handle.getFile()).text());
+  const tiles = [];
+  for (const tile of index.tiles) {
+    const tileHandle = await dir.getFileHandle(tile.file);
+    const bitmap = await createImageBitmap(await tileHandle.getFile());
+    tiles.push({ bitmap, y: tile.y, height: tile.height });
+  }
+  return {
+    tiles,
+    width: index.width,
+    height: index.height,
+    headerHeight: ignoreHeader ? index.headerHeight || 0 : 0,
+  };
+}
+
+// ─── Diff ───
+
+/**
+ * Draw rows [y, y + height) of an image's content (below its header) at the
+ * top of the band canvas; rows past the image's end stay transparent.
+ */
+function drawBand(ctx, image, y, height) {
+  ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+  const top = image.headerHeight + y;
+  for (const tile of image.tiles) {
+    const from = Math.max(top, tile.y);
+    const to = Math.min(top + height, tile.y + tile.height);
+    if (to > from) {
+      const width = tile.bitmap.width;
+      ctx.drawImage(tile.bitmap, 0, from - tile.y, width, to - from, 0, from - top, width, to - from);
+    }
+  }
+}
+
+function bandCanvas(width) {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = BAND_HEIGHT;
+  return canvas.getContext('2d', { willReadFrequently: true });
+}
+
+/**
+ * Group changed grid cells into bounding boxes, treating cells up to one
+ * cell apart as the same region.
+ */
+function findRegions(cells, cols, rows) {
+  const regions = [];
+  const visited = new Uint8Array(cells.length);
+
+  for (let start = 0; start < cells.length; start++) {
+    if (!cells[start] || visited[start]) continue;
+    let minX = cols, minY = rows, maxX = 0, maxY = 0;
+    const stack = [start];
+    visited[start] = 1;
+    while (stack.length > 0) {
+      const cell = stack.pop();
+      const cx = cell % cols;
+      const cy = (cell - cx) / cols;
+      minX = Math.min(minX, cx); maxX = Math.max(maxX, cx);
+      minY = Math.min(minY, cy); maxY = Math.max(maxY, cy);
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) {
+          const nx = cx + dx;
+          const ny = cy + dy;
+          if (nx < 0 || ny < 0 || nx >= cols || ny >= rows) continue;
+          const next = ny * cols + nx;
+          if (cells[next] && !visited[next]) {
+            visited[next] = 1;
+            stack.push(next);
+          }
+        }
+      }
+    }
+    regions.push({
+      x: minX * CELL_SIZE,
+      y: minY * CELL_SIZE,
+      width: (maxX - minX + 1) * CELL_SIZE,
+      height: (maxY - minY + 1) * CELL_SIZE,
+    });
+  }
+  return regions;
+}
+
+/**
+ * Compare the content of two captures pixel by pixel, in bands.
+ *
+ * Areas covered by only one capture (a page that grew or shrank) count as
+ * changed. The diff image is scaled down if the page is taller than the
+ * canvas limit; the counts are always at full resolution.
+ *
+ * @returns {{ canvas: HTMLCanvasElement, width, height, changedPixels, totalPixels,
+ *   changedPercent, regions: Array<{ x, y, width, height }> }} Regions are in
+ *   content pixels of the newer capture.
+ */
+export function diffCaptures(before, after) {
+  const width = Math.max(before.width, after.width);
+  const height = Math.max(before.height - before.headerHeight, after.height - after.headerHeight);
+  const scale = Math.min(1, MAX_CANVAS_HEIGHT / height);
+
+  const output = document.createElement('canvas');
+  output.width = Math.max(1, Math.round(width * scale));
+  output.height = Math.max(1, Math.round(height * scale));
+  const outputCtx = output.getContext('2d');
+
+  const beforeCtx = bandCanvas(width);
+  const afterCtx = bandCanvas(width);
+  const diffCtx = bandCanvas(width);
+  const cols = Math.ceil(width / CELL_SIZE);
+  const rows = Math.ceil(height / CELL_SIZE);
+  const cells = new Uint8Array(cols * rows);
+  let changedPixels = 0;
+
+  for (let y0 = 0; y0 < height; y0 += BAND_HEIGHT) {
+    const bandHeight = Math.min(BAND_HEIGHT, height - y0);
+    drawBand(beforeCtx, before, y0, bandHeight);
+    drawBand(afterCtx, after, y0, bandHeight);
+    const b = beforeCtx.getImageData(0, 0, width, bandHeight).data;
+    const a = afterCtx.getImageData(0, 0, width, bandHeight).data;
+    const diff = diffCtx.createImageData(width, bandHeight);
+    const d = diff.data;
+
+    for (let i = 0; i < a.length; i += 4) {
+      const delta = Math.max(
+        Math.abs(a[i] - b[i]), Math.abs(a[i + 1] - b[i + 1]),
+        Math.abs(a[i + 2] - b[i + 2]), Math.abs(a[i + 3] - b[i + 3])
+      );
+      if (delta > DIFF_THRESHOLD) {
+        changedPixels++;
+        [d[i], d[i + 1], d[i + 2]] = CHANGED_COLOR;
+        const pixel = i / 4;
+        const x = pixel % width;
+        const y = y0 + (pixel - x) / width;
+        cells[Math.floor(y / CELL_SIZE) * cols + Math.floor(x / CELL_SIZE)] = 1;
+      } else {
+        // Faded greyscale copy of the newer capture, for context
+        const alpha = a[i + 3] / 255;
+        const luma = (a[i] * 0.3 + a[i + 1] * 0.59 + a[i + 2] * 0.11) * alpha + 255 * (1 - alpha);
+        d[i] = d[i + 1] = d[i + 2] = 255 - (255 - luma) * 0.35;
+      }
+      d[i + 3] = 255;
+    }
+
+    diffCtx.putImageData(diff, 0, 0);
+    outputCtx.drawImage(diffCtx.canvas, 0, 0, width, bandHeight, 0, y0 * scale, width * scale, bandHeight * scale);
+  }
+
+  const regions = findRegions(cells, cols, rows).map(region => ({
+    ...region,
+    width: Math.min(region.width, width - region.x),
+    height: Math.min(region.height, height - region.y),
+  }));
+  outputCtx.strokeStyle = `rgb(${CHANGED_COLOR.join(',')})`;
+  outputCtx.lineWidth = 2;
+  for (const region of regions) {
+    outputCtx.strokeRect(region.x * scale, region.y * scale, region.width * scale, region.height * scale);
+  }
+
+  const totalPixels = width * height;
+  return {
+    canvas: output,
+    width,
+    height,
+    changedPixels,
+    totalPixels,
+    changedPercent: totalPixels > 0 ? (changedPixels / totalPixels) * 100 : 0,
+    regions,
+  };
+}
+
+// ─── Saving Results ───
+
+/**
+ * Save the diff image next to the newer capture's PNG
+ * (e.g. Step03_Pricing_…_diff.png), with text chunks naming both captures.
+ *
+ * @returns {Promise<{ filename: string, sha256: string }>}
+ */
+export async function saveDiffImage(before, after, diff) {
+  const pngFilename = after.row.pngFilename.replace(/_tiles\.json$/, '.png');
+  const filename = withSuffix(pngFilename, 'diff');
+  const blob = await withPngText(await canvasToBlob(diff.canvas), [
+    ['Title', `Visual diff: ${after.row.pageName}`],
+    ['Description', `${diff.changedPercent.toFixed(2)}% of pixels changed since ${before.row.pngFilename}`],
+    ['Software', `Exemplar Capture ${chrome.runtime.getManifest().version}`],
+    ['Creation Time', new Date().toLocaleString()],
+    ['URL', after.row.fullURL],
+    ['Before', before.row.pngFilename],
+    ['After', after.row.pngFilename],
+  ]);
+  await saveBlobViaFSA(after.image.dir, '', filename, blob);
+  return { filename, sha256: await sha256Hex(blob) };
+}
+
+/**
+ * The manifest columns recording a comparison with an earlier capture.
+ */
+export function comparisonFields(before, diff, diffFilename = '') {
+  return {
+    changedVsPrevious: diff.changedPixels > 0 ? 'true' : 'false',
+    changedPixelsPercent: diff.changedPercent.toFixed(2),
+    comparedWith: before.row.pngFilename,
+    diffFilename,
+  };
+}
+
+async function directoryAt(rootDir, segments) {
+  let dir = rootDir;
+  for (const name of segments) dir = await dir.getDirectoryHandle(name);
+  return dir;
+}
+
+/**
+ * The SHA256SUMS that lists a file (by its path under `rootDir`), searching
+ * the file's folder and those above it; otherwise the file's own folder,
+ * with no entries yet.
+ *
+ * @returns {Promise<{ dir, prefix: string, entries: Array }>} prefix is the
+ *   path from that folder to the file's folder.
+ */
+async function checksumsListing(rootDir, path) {
+  const folders = path.split('/').slice(0, -1);
+  const filename = path.split('/').pop();
+  for (let depth = folders.length; depth >= 0; depth--) {
+    const dir = await directoryAt(rootDir, folders.slice(0, depth));
+    let text;
+    try {
+      text = await (await (await dir.getFileHandle(CHECKSUMS_FILENAME)).getFile()).text();
+    } catch (err) {
+      if (err.name === 'NotFoundError') continue;
+      throw err;
+    }
+    const prefix = folders.slice(depth).map(name => `${name}/`).join('');
+    const entries = parseChecksums(text);
+    if (entries.some(entry => entry.path === `${prefix}${filename}`)) return { dir, prefix, entries };
+  }
+  const dir = await directoryAt(rootDir, folders);
+  let entries = [];
+  try {
+    entries = parseChecksums(await (await (await dir.getFileHandle(CHECKSUMS_FILENAME)).getFile()).text());
+  } catch (err) {
+    if (err.name !== 'NotFoundError') throw err;
+  }
+  return { dir, prefix: '', entries };
+}
+
+/**
+ * Record a comparison of a capture from a manifest on disk. That manifest
+ * is listed in SHA256SUMS and signed, so it is left as it is: the newer
+ * capture's row with `fields` set is written to its own CSV next to the
+ * diff image (…_comparison.csv), and the diff image and the record are
+ * added to the SHA256SUMS that lists the capture, so Verify Folder checks
+ * them too.
+ *
+ * @param {FileSystemDirectoryHandle} rootDir - The folder the captures were found in.
+ * @param {object} capture - The newer capture, from findComparablePages.
+ * @param {object} fields - comparisonFields for it.
+ * @param {{ filename: string, sha256: string }} diffImage - From saveDiffImage.
+ * @returns {Promise<string>} The record's filename.
+ */
+export async function saveComparisonRecord(rootDir, capture, fields, diffImage) {
+  const filename = withSuffix(capture.row.pngFilename.replace(/_tiles\.json$/, '.png'), 'comparison', 'csv');
+  const blob = new Blob([generateCsv([{ ...capture.row, ...fields }])], { type: 'text/csv;charset=utf-8' });
+  await saveBlobViaFSA(capture.image.dir, '', filename, blob);
+
+  const { dir, prefix, entries } = await checksumsListing(rootDir, capture.image.path);
+  const added = [
+    { path: `${prefix}${diffImage.filename}`, sha256: diffImage.sha256 },
+    { path: `${prefix}${filename}`, sha256: await sha256Hex(blob) },
+  ];
+  // Comparing the same captures again replaces their earlier entries
+  const kept = entries.filter(entry => !added.some(({ path }) => path === entry.path));
+  const sums = new Blob([formatChecksums('', [...kept, ...added])], { type: 'text/plain' });
+  await saveBlobViaFSA(dir, '', CHECKSUMS_FILENAME, sums);
+  return filename;
+}
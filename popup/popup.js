@@ -1,30 +1,75 @@
 /**
  * Exemplar Capture — Popup Controller
- * All capture, processing, and saving runs directly in the popup.
- * No service worker message passing needed.
+ * Sets up sessions and starts captures. Captures run as jobs in the
+ * service worker (background/capture-jobs.js); the popup renders the job
+ * from chrome.storage.session and sends the user's names, descriptions and
+ * review choices back, so it can be closed and reopened mid-capture.
+ * Scheduled jobs are edited here and run by the service worker; captures
+ * are compared here (lib/visual-diff.js).
  */
 
-import { MODES, LOGIN_STATES, DESCRIPTION_MODES, COMPLIANCE_KEYWORDS, STORAGE_KEYS } from '../lib/constants.js';
-import { generateFullPath, generateFolderPath, manifestFilename } from '../lib/naming.js';
+import {
+  MODES, LOGIN_STATES, DESCRIPTION_MODES, COMPLIANCE_KEYWORDS, STORAGE_KEYS,
+  CAPTURE_PROFILES, DEFAULT_PROFILE, ALL_PROFILES, CAPTURE_TARGETS, DEFAULT_SETTLE_TIMEOUT_MS,
+  PROGRESS_PHASES, LANGUAGE_AUTO, REGION_PRESETS, DEFAULT_REGION,
+} from '../lib/constants.js';
+import { generateFullPath, generateFolderPath, manifestFilename, normalizeLanguage } from '../lib/naming.js';
 import { generateCsv, createManifestRow } from '../lib/csv.js';
+import { buildDescription } from '../lib/description.js';
+import { validateDismissalRules } from '../lib/dismissal-rules.js';
+import { resolveProfiles, sessionKeywords, pngManifestFilename } from '../lib/capture-pipeline.js';
+import { parseUrlList } from '../lib/url-list.js';
+import {
+  findComparablePages,
+  describeCapture,
+  loadCaptureImage,
+  diffCaptures,
+  saveDiffImage,
+  comparisonFields,
+  saveComparisonRecord,
+} from '../lib/visual-diff.js';
+import { saveDirHandle, loadDirHandle, clearDirHandle } from '../lib/folder-handle.js';
+import {
+  JOB_KINDS,
+  JOB_PHASES,
+  loadCaptureJob,
+  isJobWaiting,
+  getUrlKey,
+  saveStepCounter,
+} from '../lib/capture-job.js';
 import {
-  captureFullPage,
-  drawImageToCanvas,
-  stitchPartsToCanvas,
-  drawOverlay,
-  generatePdf,
-  createThumbnail,
-  saveViaDownloads,
+  RUN_STATUS,
+  loadJobs,
+  saveJobs,
+  scheduledTimes,
+  describeFrequency,
+  loadRunHistory,
+} from '../lib/schedule.js';
+import {
+  describeProfile,
+  describeTarget,
   saveCsvViaDownloads,
-  saveViaFSA,
   saveCsvViaFSA,
+  saveBlobViaDownloads,
+  saveBlobViaFSA,
 } from '../lib/capture-engine.js';
+import { CHECKSUMS_FILENAME, buildChecksumsFiles, verifyFolder } from '../lib/checksums.js';
+import {
+  signManifest,
+  signatureFilename,
+  publicKeyFilename,
+  verifyFolderSignatures,
+  installationKeyFingerprint,
+} from '../lib/signing.js';
 
 // ─── DOM References ───
 const views = {
   setup: document.getElementById('view-setup'),
   capture: document.getElementById('view-capture'),
   edit: document.getElementById('view-edit'),
+  schedule: document.getElementById('view-schedule'),
+  compare: document.getElementById('view-compare'),
+  verify: document.getElementById('view-verify'),
 };
 
 const setupForm = document.getElementById('setup-form');
@@ -32,6 +77,21 @@ const modeToggles = document.querySelectorAll('#view-setup .toggle-btn[data-mode
 const inputDate = document.getElementById('input-date');
 const inputFlowSetName = document.getElementById('input-flow-set-name');
 const labelFlowSet = document.getElementById('label-flow-set');
+const selectSessionProfile = document.getElementById('select-session-profile');
+const selectSessionRegion = document.getElementById('select-session-region');
+const inputSessionLanguage = document.getElementById('input-session-language');
+const selectFixedPolicy = document.getElementById('select-fixed-policy');
+const selectNativePdf = document.getElementById('select-native-pdf');
+const inputSettleTimeout = document.getElementById('input-settle-timeout');
+const checkPdfA = document.getElementById('check-pdfa');
+const checkArchive = document.getElementById('check-archive');
+const inputKeywords = document.getElementById('input-keywords');
+const checkAnnotate = document.getElementById('check-annotate');
+const checkExpand = document.getElementById('check-expand');
+const checkOverlayEnvironment = document.getElementById('check-overlay-environment');
+const checkDismissBanners = document.getElementById('check-dismiss-banners');
+const inputDismissalRules = document.getElementById('input-dismissal-rules');
+const inputTsaUrl = document.getElementById('input-tsa-url');
 const btnPickFolder = document.getElementById('btn-pick-folder');
 const folderPathDisplay = document.getElementById('folder-path-display');
 
@@ -39,22 +99,54 @@ const badgeMode = document.getElementById('badge-mode');
 const bannerName = document.getElementById('banner-name');
 const bannerState = document.getElementById('banner-state');
 const bannerDate = document.getElementById('banner-date');
+const bannerProfile = document.getElementById('banner-profile');
 const counterLabel = document.getElementById('counter-label');
 const counterValue = document.getElementById('counter-value');
 const btnCounterDec = document.getElementById('btn-counter-dec');
 const btnCounterInc = document.getElementById('btn-counter-inc');
 const btnCapture = document.getElementById('btn-capture');
+const btnCaptureAll = document.getElementById('btn-capture-all');
+const batchReview = document.getElementById('batch-review');
+const batchCount = document.getElementById('batch-count');
+const inputBatchVersion = document.getElementById('input-batch-version');
+const batchList = document.getElementById('batch-list');
+const btnBatchSave = document.getElementById('btn-batch-save');
+const btnBatchDiscard = document.getElementById('btn-batch-discard');
+const btnImportUrls = document.getElementById('btn-import-urls');
+const urlImport = document.getElementById('url-import');
+const inputUrlList = document.getElementById('input-url-list');
+const inputUrlFile = document.getElementById('input-url-file');
+const inputImportVersion = document.getElementById('input-import-version');
+const importResults = document.getElementById('import-results');
+const btnImportRun = document.getElementById('btn-import-run');
+const btnImportRetry = document.getElementById('btn-import-retry');
+const btnImportClose = document.getElementById('btn-import-close');
+const targetBtns = document.querySelectorAll('.target-btn');
+const targetElementRow = document.getElementById('target-element-row');
+const inputTargetSelector = document.getElementById('input-target-selector');
+const btnPickElement = document.getElementById('btn-pick-element');
+const targetRegionRow = document.getElementById('target-region-row');
+const targetRegionDisplay = document.getElementById('target-region-display');
+const btnDrawRegion = document.getElementById('btn-draw-region');
 const captureStatus = document.getElementById('capture-status');
+const captureProgress = document.getElementById('capture-progress');
+const progressBar = document.getElementById('progress-bar');
+const progressLabel = document.getElementById('progress-label');
+const btnCancelCapture = document.getElementById('btn-cancel-capture');
 const pageNamePrompt = document.getElementById('page-name-prompt');
 const loginStateToggle = document.getElementById('login-state-toggle');
 const captureStateBtns = document.querySelectorAll('.capture-state-btn');
 const inputPageName = document.getElementById('input-page-name');
 const inputPageVersion = document.getElementById('input-page-version');
+const selectCaptureRegion = document.getElementById('select-capture-region');
+const inputPageLanguage = document.getElementById('input-page-language');
+const selectCaptureProfile = document.getElementById('select-capture-profile');
 const btnConfirmName = document.getElementById('btn-confirm-name');
 const descriptionSection = document.getElementById('description-section');
 const descModeButtons = document.querySelectorAll('.desc-mode-btn');
 const inputDescription = document.getElementById('input-description');
 const btnSaveCapture = document.getElementById('btn-save-capture');
+const btnDiscardCapture = document.getElementById('btn-discard-capture');
 const duplicateWarning = document.getElementById('duplicate-warning');
 const dupPageName = document.getElementById('dup-page-name');
 const btnDupProceed = document.getElementById('btn-dup-proceed');
@@ -74,7 +166,47 @@ const editStepIndex = document.getElementById('edit-step-index');
 const editStateBtns = document.querySelectorAll('.edit-state-btn');
 const btnCancelEdit = document.getElementById('btn-cancel-edit');
 
-const stitchCanvas = document.getElementById('stitch-canvas');
+const btnOpenSchedule = document.querySelectorAll('.btn-open-schedule');
+const jobList = document.getElementById('job-list');
+const jobListEmpty = document.getElementById('job-list-empty');
+const jobFormGroup = document.getElementById('job-form-group');
+const jobForm = document.getElementById('job-form');
+const jobName = document.getElementById('job-name');
+const jobMode = document.getElementById('job-mode');
+const jobUrls = document.getElementById('job-urls');
+const jobProfile = document.getElementById('job-profile');
+const jobLoginState = document.getElementById('job-login-state');
+const jobVersion = document.getElementById('job-version');
+const jobFrequency = document.getElementById('job-frequency');
+const jobFirstRun = document.getElementById('job-first-run');
+const scheduleStatus = document.getElementById('schedule-status');
+const runHistoryList = document.getElementById('run-history');
+const runHistoryEmpty = document.getElementById('run-history-empty');
+const btnScheduleBack = document.getElementById('btn-schedule-back');
+
+const btnOpenCompare = document.querySelectorAll('.btn-open-compare');
+const btnCompareFolder = document.getElementById('btn-compare-folder');
+const compareFolder = document.getElementById('compare-folder');
+const comparePage = document.getElementById('compare-page');
+const compareBefore = document.getElementById('compare-before');
+const compareAfter = document.getElementById('compare-after');
+const checkCompareHeader = document.getElementById('check-compare-header');
+const checkCompareRecord = document.getElementById('check-compare-record');
+const btnCompare = document.getElementById('btn-compare');
+const compareStatus = document.getElementById('compare-status');
+const compareResult = document.getElementById('compare-result');
+const compareSummary = document.getElementById('compare-summary');
+const compareImage = document.getElementById('compare-image');
+const btnCompareBack = document.getElementById('btn-compare-back');
+
+const btnOpenVerify = document.querySelectorAll('.btn-open-verify');
+const btnVerifyFolder = document.getElementById('btn-verify-folder');
+const verifyStatus = document.getElementById('verify-status');
+const verifyResult = document.getElementById('verify-result');
+const verifySummary = document.getElementById('verify-summary');
+const verifyProblems = document.getElementById('verify-problems');
+const verifyFingerprint = document.getElementById('verify-fingerprint');
+const btnVerifyBack = document.getElementById('btn-verify-back');
 
 // ─── State ───
 let session = null;
@@ -82,61 +214,17 @@ let stepCounter = 1;
 let currentMode = MODES.FLOW;
 let currentCaptureState = LOGIN_STATES.LOGGED_OUT; // Default to logged-out
 let currentDescMode = DESCRIPTION_MODES.SHORT;
-let pendingCapture = null;
+let pendingCapture = null; // Page being named, before its capture job starts
+let captureJob = null; // The service worker's capture job, as last stored
+let renderedPhase = ''; // `${job.id}/${job.phase}` of the forms on screen
+let importFailed = []; // URL-list entries that failed in the last run
+let compareDir = null; // Folder the compare view reads captures from
+let comparePages = []; // Pages with two or more captures in compareDir
+let captureTarget = { type: CAPTURE_TARGETS.FULL_PAGE };
 let isDuplicate = false;
 let dirHandle = null;
 
-// ─── IndexedDB for FileSystemDirectoryHandle persistence ───
-const DB_NAME = 'ExemplarCaptureDB';
-const DB_STORE = 'handles';
-const DIR_HANDLE_KEY = 'dirHandle';
-
-function openDB() {
-  return new Promise((resolve, reject) => {
-    const request = indexedDB.open(DB_NAME, 1);
-    request.onerror = () => reject(request.error);
-    request.onsuccess = () => resolve(request.result);
-    request.onupgradeneeded = (e) => {
-      const db = e.target.result;
-      if (!db.objectStoreNames.contains(DB_STORE)) {
-        db.createObjectStore(DB_STORE);
-      }
-    };
-  });
-}
-
-async function saveDirHandle(handle) {
-  const db = await openDB();
-  return new Promise((resolve, reject) => {
-    const tx = db.transaction(DB_STORE, 'readwrite');
-    const store = tx.objectStore(DB_STORE);
-    const request = store.put(handle, DIR_HANDLE_KEY);
-    request.onerror = () => reject(request.error);
-    request.onsuccess = () => resolve();
-  });
-}
-
-async function loadDirHandle() {
-  const db = await openDB();
-  return new Promise((resolve, reject) => {
-    const tx = db.transaction(DB_STORE, 'readonly');
-    const store = tx.objectStore(DB_STORE);
-    const request = store.get(DIR_HANDLE_KEY);
-    request.onerror = () => reject(request.error);
-    request.onsuccess = () => resolve(request.result || null);
-  });
-}
-
-async function clearDirHandle() {
-  const db = await openDB();
-  return new Promise((resolve, reject) => {
-    const tx = db.transaction(DB_STORE, 'readwrite');
-    const store = tx.objectStore(DB_STORE);
-    const request = store.delete(DIR_HANDLE_KEY);
-    request.onerror = () => reject(request.error);
-    request.onsuccess = () => resolve();
-  });
-}
+// ─── Folder Access ───
 
 /**
  * Ensure we have access to the selected folder.
@@ -209,12 +297,12 @@ function showView(name) {
   views[name].classList.remove('hidden');
 }
 
-function showStatus(message, type = 'info') {
-  captureStatus.textContent = message;
-  captureStatus.className = `status-msg ${type}`;
-  captureStatus.classList.remove('hidden');
+function showStatus(message, type = 'info', target = captureStatus) {
+  target.textContent = message;
+  target.className = `status-msg ${type}`;
+  target.classList.remove('hidden');
   if (type === 'success' || type === 'info') {
-    setTimeout(() => captureStatus.classList.add('hidden'), 5000);
+    setTimeout(() => target.classList.add('hidden'), 5000);
   }
 }
 
@@ -229,8 +317,32 @@ function nowTimestamp() {
   return new Date().toLocaleString();
 }
 
-function getUrlKey(urlPath, loginState) {
-  return `${urlPath}|${loginState}`;
+function populateProfileSelect(select) {
+  select.innerHTML = '';
+  for (const profile of Object.values(CAPTURE_PROFILES)) {
+    select.add(new Option(describeProfile(profile), profile.id));
+  }
+  select.add(new Option('All profiles', ALL_PROFILES));
+}
+
+function populateRegionSelect(select) {
+  select.innerHTML = '';
+  for (const region of Object.values(REGION_PRESETS)) {
+    select.add(new Option(region.label, region.id));
+  }
+  select.value = DEFAULT_REGION;
+}
+
+/**
+ * Show the reload warning under a region select when a preset is chosen.
+ */
+function updateRegionNote(select) {
+  select.parentElement.querySelector('.region-reload-note')
+    .classList.toggle('hidden', select.value === DEFAULT_REGION);
+}
+
+function profileSelectionLabel(profileId) {
+  return profileId === ALL_PROFILES ? 'All profiles' : resolveProfiles(profileId)[0].label;
 }
 
 // ─── Toggle Helpers ───
@@ -247,6 +359,12 @@ function setupToggle(buttons, callback) {
 // ─── Init ───
 async function init() {
   inputDate.value = todayString();
+  populateProfileSelect(selectSessionProfile);
+  populateProfileSelect(selectCaptureProfile);
+  populateProfileSelect(jobProfile);
+  selectSessionProfile.value = DEFAULT_PROFILE;
+  populateRegionSelect(selectSessionRegion);
+  populateRegionSelect(selectCaptureRegion);
 
   // Restore folder name display and try to restore handle
   const folderStored = await chrome.storage.local.get(STORAGE_KEYS.FOLDER_NAME);
@@ -271,7 +389,19 @@ async function init() {
     }
   }
 
-  const stored = await chrome.storage.local.get([STORAGE_KEYS.SESSION, STORAGE_KEYS.STEP_COUNTER, STORAGE_KEYS.LAST_CAPTURE]);
+  const stored = await chrome.storage.local.get([
+    STORAGE_KEYS.SESSION, STORAGE_KEYS.STEP_COUNTER, STORAGE_KEYS.LAST_CAPTURE, STORAGE_KEYS.CAPTURE_TARGET,
+    STORAGE_KEYS.COMPLIANCE_KEYWORDS, STORAGE_KEYS.DISMISSAL_RULES, STORAGE_KEYS.TSA_URL,
+  ]);
+  inputKeywords.value = (stored[STORAGE_KEYS.COMPLIANCE_KEYWORDS] || COMPLIANCE_KEYWORDS).join(', ');
+  const savedRules = stored[STORAGE_KEYS.DISMISSAL_RULES] || [];
+  inputDismissalRules.value = savedRules.length > 0 ? JSON.stringify(savedRules, null, 2) : '';
+  inputTsaUrl.value = stored[STORAGE_KEYS.TSA_URL] || '';
+  if (stored[STORAGE_KEYS.CAPTURE_TARGET]) {
+    captureTarget = stored[STORAGE_KEYS.CAPTURE_TARGET];
+  }
+  updateTargetView();
+
   if (stored[STORAGE_KEYS.SESSION]) {
     session = stored[STORAGE_KEYS.SESSION];
     stepCounter = stored[STORAGE_KEYS.STEP_COUNTER] || 1;
@@ -293,20 +423,53 @@ async function init() {
   });
 
   setupToggle(captureStateBtns, (btn) => { currentCaptureState = btn.dataset.state; });
+  setupToggle(targetBtns, (btn) => {
+    captureTarget = { ...captureTarget, type: btn.dataset.target };
+    updateTargetView();
+    saveCaptureTarget();
+  });
+  inputTargetSelector.addEventListener('change', () => {
+    captureTarget = { ...captureTarget, selector: inputTargetSelector.value.trim() };
+    saveCaptureTarget();
+  });
+  btnPickElement.addEventListener('click', () => launchPicker(CAPTURE_TARGETS.ELEMENT));
+  btnDrawRegion.addEventListener('click', () => launchPicker(CAPTURE_TARGETS.REGION));
   setupToggle(editStateBtns, () => {});
   setupToggle(descModeButtons, (btn) => {
     currentDescMode = btn.dataset.desc;
     updateDescriptionPlaceholder();
+    suggestDescription();
   });
+  inputDescription.addEventListener('change', handleDescriptionChange);
+  selectSessionRegion.addEventListener('change', () => updateRegionNote(selectSessionRegion));
+  selectCaptureRegion.addEventListener('change', () => updateRegionNote(selectCaptureRegion));
+  inputDismissalRules.addEventListener('input', () => inputDismissalRules.setCustomValidity(''));
+  inputTsaUrl.addEventListener('input', () => inputTsaUrl.setCustomValidity(''));
 
   setupForm.addEventListener('submit', handleStartSession);
   btnCapture.addEventListener('click', handleCapture);
-
+  btnCaptureAll.addEventListener('click', handleCaptureAllTabs);
+  btnBatchSave.addEventListener('click', handleSaveBatch);
+  btnBatchDiscard.addEventListener('click', () => handleDiscardJob('Batch discarded.'));
+
+  btnImportUrls.addEventListener('click', () => {
+    inputImportVersion.value = inputPageVersion.value.trim();
+    urlImport.classList.remove('hidden');
+    inputUrlList.focus();
+  });
+  inputUrlFile.addEventListener('change', async () => {
+    const [file] = inputUrlFile.files;
+    if (file) inputUrlList.value = await file.text();
+    inputUrlFile.value = '';
+  });
+  btnImportRun.addEventListener('click', handleImportUrls);
+  btnImportRetry.addEventListener('click', () => runUrlImport(importFailed));
+  btnImportClose.addEventListener('click', closeUrlImport);
   btnCounterDec.addEventListener('click', () => {
-    if (stepCounter > 1) { stepCounter--; counterValue.textContent = stepCounter; saveStepCounter(); }
+    if (stepCounter > 1) { stepCounter--; counterValue.textContent = stepCounter; saveStepCounter(stepCounter); }
   });
   btnCounterInc.addEventListener('click', () => {
-    stepCounter++; counterValue.textContent = stepCounter; saveStepCounter();
+    stepCounter++; counterValue.textContent = stepCounter; saveStepCounter(stepCounter);
   });
 
   btnConfirmName.addEventListener('click', handlePageNameConfirm);
@@ -322,6 +485,8 @@ async function init() {
   });
 
   btnSaveCapture.addEventListener('click', handleSaveCapture);
+  btnDiscardCapture.addEventListener('click', () => handleDiscardJob('Capture discarded.'));
+  btnCancelCapture.addEventListener('click', handleCancelJob);
 
   btnDupProceed.addEventListener('click', () => {
     isDuplicate = true;
@@ -340,6 +505,40 @@ async function init() {
 
   btnEndSession.addEventListener('click', handleEndSession);
   btnPickFolder.addEventListener('click', handlePickFolder);
+
+  btnOpenSchedule.forEach(btn => btn.addEventListener('click', openScheduleView));
+  btnScheduleBack.addEventListener('click', () => showView(session ? 'capture' : 'setup'));
+  jobForm.addEventListener('submit', handleSaveJob);
+
+  btnOpenCompare.forEach(btn => btn.addEventListener('click', openCompareView));
+  btnCompareBack.addEventListener('click', () => showView(session ? 'capture' : 'setup'));
+  btnCompareFolder.addEventListener('click', handleChooseCompareFolder);
+  comparePage.addEventListener('change', renderComparePickers);
+  btnCompare.addEventListener('click', handleCompare);
+
+  btnOpenVerify.forEach(btn => btn.addEventListener('click', () => showView('verify')));
+  btnVerifyBack.addEventListener('click', () => showView(session ? 'capture' : 'setup'));
+  btnVerifyFolder.addEventListener('click', handleVerifyFolder);
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'session' && changes[STORAGE_KEYS.CAPTURE_JOB]) {
+      renderJob(changes[STORAGE_KEYS.CAPTURE_JOB].newValue || null);
+    }
+    if (area !== 'local') return;
+    if (changes[STORAGE_KEYS.RUN_HISTORY] && !views.schedule.classList.contains('hidden')) {
+      renderRunHistory(changes[STORAGE_KEYS.RUN_HISTORY].newValue || []);
+    }
+    // Saved by the service worker's capture jobs
+    if (changes[STORAGE_KEYS.STEP_COUNTER] && session) {
+      stepCounter = changes[STORAGE_KEYS.STEP_COUNTER].newValue || 1;
+      counterValue.textContent = stepCounter;
+    }
+    if (changes[STORAGE_KEYS.LAST_CAPTURE]) {
+      displayLastCapture(changes[STORAGE_KEYS.LAST_CAPTURE].newValue);
+    }
+  });
+
+  // Pick up a capture started before the popup was last closed
+  if (session) renderJob(await loadCaptureJob());
 }
 
 // ─── Session Management ───
@@ -348,9 +547,23 @@ async function handleStartSession(e) {
   const flowOrSetName = inputFlowSetName.value.trim();
   if (!flowOrSetName) { inputFlowSetName.focus(); return; }
 
+  let options;
+  try {
+    options = readCaptureOptions();
+  } catch (err) {
+    // The status line lives in the capture view; report on the field instead
+    const field = err.field || inputDismissalRules;
+    field.closest('details').open = true;
+    field.setCustomValidity(err.message);
+    field.reportValidity();
+    return;
+  }
+
   session = {
     mode: currentMode, date: inputDate.value,
-    language: 'en', flowOrSetName,
+    flowOrSetName,
+    profile: selectSessionProfile.value,
+    ...options,
   };
   stepCounter = 1;
   currentCaptureState = LOGIN_STATES.LOGGED_OUT; // Reset to default on new session
@@ -359,14 +572,86 @@ async function handleStartSession(e) {
     [STORAGE_KEYS.SESSION]: session,
     [STORAGE_KEYS.STEP_COUNTER]: stepCounter,
     [STORAGE_KEYS.MANIFEST]: [],
+    [STORAGE_KEYS.CHECKSUMS]: [],
     [STORAGE_KEYS.PAGE_NAMES]: {},
     [STORAGE_KEYS.CAPTURE_HISTORY]: {},
+    [STORAGE_KEYS.COMPLIANCE_KEYWORDS]: session.keywords,
+    [STORAGE_KEYS.DISMISSAL_RULES]: session.dismissalRules,
+    [STORAGE_KEYS.TSA_URL]: session.tsaUrl,
   });
 
   updateCaptureView();
   showView('capture');
 }
 
+/**
+ * The Capture Options from the setup form. Throws if the custom dismissal
+ * rules or the Timestamp Authority URL are invalid.
+ */
+function readCaptureOptions() {
+  return {
+    region: selectSessionRegion.value,
+    language: normalizeLanguage(inputSessionLanguage.value) || LANGUAGE_AUTO,
+    fixedElementPolicy: selectFixedPolicy.value,
+    settleTimeoutMs: parseInt(inputSettleTimeout.value, 10) * 1000 || DEFAULT_SETTLE_TIMEOUT_MS,
+    nativePdf: selectNativePdf.value,
+    pdfA: checkPdfA.checked,
+    archive: checkArchive.checked,
+    keywords: parseKeywords(inputKeywords.value),
+    annotateKeywords: checkAnnotate.checked,
+    expandCollapsed: checkExpand.checked,
+    overlayEnvironment: checkOverlayEnvironment.checked,
+    dismissBanners: checkDismissBanners.checked,
+    dismissalRules: parseDismissalRules(inputDismissalRules.value),
+    tsaUrl: parseTsaUrl(inputTsaUrl.value),
+  };
+}
+
+/**
+ * Parse the comma- or newline-separated keyword field. An empty field falls
+ * back to the default list so the scan is never silently disabled.
+ */
+function parseKeywords(text) {
+  const keywords = text.split(/[,\n]/).map(kw => kw.trim().toLowerCase()).filter(Boolean);
+  return keywords.length > 0 ? [...new Set(keywords)] : [...COMPLIANCE_KEYWORDS];
+}
+
+/**
+ * Parse the custom dismissal rules field (empty means no custom rules).
+ * Throws with a message suitable for showing to the user.
+ */
+function parseDismissalRules(text) {
+  if (!text.trim()) return [];
+  let rules;
+  try {
+    rules = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Custom dismissal rules are not valid JSON: ${err.message}`);
+  }
+  return validateDismissalRules(rules);
+}
+
+/**
+ * Parse the Timestamp Authority URL field (empty means no timestamps).
+ * Throws with the field attached, for reporting on it.
+ */
+function parseTsaUrl(text) {
+  const value = text.trim();
+  if (!value) return '';
+  let url = null;
+  try {
+    url = new URL(value);
+  } catch {
+    // Reported below
+  }
+  if (!url || !['http:', 'https:'].includes(url.protocol)) {
+    throw Object.assign(new Error('Enter an http:// or https:// address, or leave empty for no timestamps'), {
+      field: inputTsaUrl,
+    });
+  }
+  return url.href;
+}
+
 function updateCaptureView() {
   if (!session) return;
   badgeMode.textContent = session.mode === MODES.FLOW ? 'Flow' : 'Set';
@@ -381,40 +666,52 @@ function updateCaptureView() {
   }
   
   bannerDate.textContent = session.date;
+  bannerProfile.textContent = profileSelectionLabel(session.profile || DEFAULT_PROFILE);
   counterLabel.textContent = session.mode === MODES.FLOW ? 'Step' : 'Index';
   counterValue.textContent = stepCounter;
 }
 
-async function saveStepCounter() {
-  await chrome.storage.local.set({ [STORAGE_KEYS.STEP_COUNTER]: stepCounter });
-}
-
 async function handleEndSession() {
+  if (captureJob) {
+    showStatus('Save or discard the capture in progress first.', 'error');
+    return;
+  }
   if (!confirm('End this session? Manifest will be exported.')) return;
   
-  // Export manifest before ending
+  // Export manifest before ending; the session is kept if any part fails
   try {
-    const storedManifest = await chrome.storage.local.get(STORAGE_KEYS.MANIFEST);
+    const storedManifest = await chrome.storage.local.get([STORAGE_KEYS.MANIFEST, STORAGE_KEYS.CHECKSUMS]);
     const rows = storedManifest[STORAGE_KEYS.MANIFEST] || [];
     if (rows.length > 0) {
       const csvContent = generateCsv(rows);
       const folder = generateFolderPath(session.date, '', session.mode, session.flowOrSetName);
       const mFilename = manifestFilename(session.date, '');
-      if (dirHandle) {
-        await saveCsvViaFSA(dirHandle, folder, mFilename, csvContent);
-      } else {
-        await saveCsvViaDownloads(csvContent, `${folder}/${mFilename}`);
+      if (dirHandle) await saveCsvViaFSA(dirHandle, folder, mFilename, csvContent);
+      else await saveCsvViaDownloads(csvContent, `${folder}/${mFilename}`);
+
+      const sums = await buildChecksumsFiles(folder, mFilename, csvContent, storedManifest[STORAGE_KEYS.CHECKSUMS] || []);
+      const { signature, publicKey } = await signManifest(csvContent);
+      const files = [
+        ...sums.map(({ folder: sumsFolder, blob }) => [sumsFolder, CHECKSUMS_FILENAME, blob]),
+        [folder, signatureFilename(mFilename), signature],
+        [folder, publicKeyFilename(mFilename), publicKey],
+      ];
+      for (const [fileFolder, filename, blob] of files) {
+        if (dirHandle) await saveBlobViaFSA(dirHandle, fileFolder, filename, blob);
+        else await saveBlobViaDownloads(blob, `${fileFolder}/${filename}`, 'overwrite');
       }
       showStatus('Manifest exported.', 'success');
     }
   } catch (err) {
-    console.warn('Manifest export failed:', err);
+    console.error('Manifest export failed:', err);
+    showStatus(`Manifest export failed, session kept: ${err.message}`, 'error');
+    return;
   }
 
   await chrome.storage.local.remove([
     STORAGE_KEYS.SESSION, STORAGE_KEYS.STEP_COUNTER, STORAGE_KEYS.LAST_CAPTURE,
     STORAGE_KEYS.PAGE_NAMES, STORAGE_KEYS.CAPTURE_HISTORY, STORAGE_KEYS.MANIFEST,
-    STORAGE_KEYS.FOLDER_NAME,
+    STORAGE_KEYS.FOLDER_NAME, STORAGE_KEYS.CAPTURE_TARGET, STORAGE_KEYS.CHECKSUMS,
   ]);
   
   // Clear the persisted folder handle
@@ -425,20 +722,206 @@ async function handleEndSession() {
   }
   
   session = null; stepCounter = 1; dirHandle = null;
+  captureTarget = { type: CAPTURE_TARGETS.FULL_PAGE };
+  updateTargetView();
   folderPathDisplay.textContent = '~/Downloads/Exemplars/';
   lastCaptureEl.classList.add('hidden');
   showView('setup');
 }
 
+// ─── Capture Target ───
+function updateTargetView() {
+  targetBtns.forEach(b => b.classList.toggle('active', b.dataset.target === captureTarget.type));
+  targetElementRow.classList.toggle('hidden', captureTarget.type !== CAPTURE_TARGETS.ELEMENT);
+  targetRegionRow.classList.toggle('hidden', captureTarget.type !== CAPTURE_TARGETS.REGION);
+  inputTargetSelector.value = captureTarget.selector || '';
+  targetRegionDisplay.textContent = captureTarget.rect
+    ? describeTarget({ type: CAPTURE_TARGETS.REGION, rect: captureTarget.rect })
+    : 'No region drawn';
+}
+
+async function saveCaptureTarget() {
+  await chrome.storage.local.set({ [STORAGE_KEYS.CAPTURE_TARGET]: captureTarget });
+}
+
+/**
+ * Inject the in-page picker and close the popup so the user can click or
+ * draw on the page. The picker stores its result under CAPTURE_TARGET.
+ */
+async function launchPicker(mode) {
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tab) throw new Error('No active tab.');
+    await chrome.scripting.executeScript({
+      target: { tabId: tab.id },
+      func: (pickerMode) => { window.__exemplarPickerMode = pickerMode; },
+      args: [mode],
+    });
+    await chrome.scripting.executeScript({ target: { tabId: tab.id }, files: ['content/picker.js'] });
+    window.close();
+  } catch (err) {
+    showStatus(`Cannot open picker: ${err.message}`, 'error');
+  }
+}
+
+/**
+ * The target for the next capture; throws if it is incomplete.
+ */
+function getCaptureTarget() {
+  if (captureTarget.type === CAPTURE_TARGETS.ELEMENT) {
+    const selector = inputTargetSelector.value.trim();
+    if (!selector) throw new Error('Enter a CSS selector or pick an element.');
+    return { type: CAPTURE_TARGETS.ELEMENT, selector };
+  }
+  if (captureTarget.type === CAPTURE_TARGETS.REGION) {
+    if (!captureTarget.rect) throw new Error('Draw a region first.');
+    return { type: CAPTURE_TARGETS.REGION, rect: captureTarget.rect };
+  }
+  return { type: CAPTURE_TARGETS.FULL_PAGE };
+}
+
+// ─── Capture Jobs ───
+
+/**
+ * Send an action to the service worker's capture job; throws if refused.
+ */
+async function sendToWorker(action, data) {
+  const response = await chrome.runtime.sendMessage({ target: 'service-worker', action, data });
+  if (response && response.error) throw new Error(response.error);
+  return response;
+}
+
+function updatePages(changes) {
+  sendToWorker('updateJob', { changes }).catch(err => showStatus(err.message, 'error'));
+}
+
+/**
+ * Show the capture job as the service worker last stored it. Forms are
+ * rebuilt only when the job or its phase changes, so progress updates do
+ * not disturb typing.
+ */
+function renderJob(job) {
+  const previous = captureJob;
+  captureJob = job;
+
+  const busy = !!job && !isJobWaiting(job);
+  btnCapture.classList.toggle('capturing', !!job || !!pendingCapture);
+  btnCaptureAll.disabled = busy;
+  btnImportRun.disabled = busy;
+  btnImportRetry.disabled = busy;
+  btnSaveCapture.disabled = busy;
+  btnBatchSave.disabled = busy;
+
+  if (job && (!previous || previous.id !== job.id || previous.status.message !== job.status.message)) {
+    showStatus(job.status.message, job.status.type);
+  }
+  renderProgress(busy ? job.progress : null, busy);
+  if (job && job.kind === JOB_KINDS.IMPORT) {
+    urlImport.classList.remove('hidden');
+    renderImportResults(job.outcomes, job.parseErrors);
+  }
+
+  const phaseKey = job ? `${job.id}/${job.phase}` : '';
+  if (phaseKey === renderedPhase) return;
+  renderedPhase = phaseKey;
+
+  const describing = !!job && job.kind === JOB_KINDS.SINGLE
+    && [JOB_PHASES.DESCRIBING, JOB_PHASES.SAVING].includes(job.phase);
+  descriptionSection.classList.toggle('hidden', !describing);
+  if (describing && job.phase === JOB_PHASES.DESCRIBING) showDescription(job.pages[0]);
+
+  const reviewing = !!job && job.kind === JOB_KINDS.BATCH
+    && [JOB_PHASES.REVIEWING, JOB_PHASES.SAVING].includes(job.phase);
+  if (reviewing) {
+    if (job.phase === JOB_PHASES.REVIEWING) {
+      inputBatchVersion.value = job.version || '';
+      renderBatchReview();
+    }
+  } else {
+    closeBatchReview();
+  }
+
+  if (job && [JOB_PHASES.DONE, JOB_PHASES.FAILED].includes(job.phase)) finishJob(job);
+}
+
+/**
+ * The outcome has been shown; keep what the popup still needs and let
+ * the service worker drop the job.
+ */
+async function finishJob(job) {
+  if (job.kind === JOB_KINDS.IMPORT) {
+    importFailed = job.outcomes.filter(o => !o.ok).map(o => o.entry);
+    renderImportResults(job.outcomes, job.parseErrors);
+  }
+  inputDescription.value = '';
+  await sendToWorker('discardJob').catch(err => console.warn('Failed to clear capture job:', err));
+}
+
+const PROGRESS_LABELS = {
+  [PROGRESS_PHASES.PREPARING]: 'Preparing page',
+  [PROGRESS_PHASES.SETTLING]: 'Scrolling for lazy content',
+  [PROGRESS_PHASES.CAPTURING]: 'Capturing part',
+  [PROGRESS_PHASES.FINISHING]: 'Restoring page',
+  [PROGRESS_PHASES.PDF]: 'Building PDF page',
+};
+
+/**
+ * Show the progress bar and Cancel button while the job is working. The
+ * bar fills for steps with a count and is indeterminate otherwise.
+ */
+function renderProgress(progress, visible) {
+  captureProgress.classList.toggle('hidden', !visible);
+  if (!visible) btnCancelCapture.disabled = false;
+  if (!progress) {
+    progressBar.removeAttribute('value');
+    progressLabel.textContent = '';
+    return;
+  }
+
+  let label = PROGRESS_LABELS[progress.phase] || progress.phase;
+  if (progress.total) {
+    progressBar.value = progress.current / progress.total;
+    label += ` ${progress.current} of ${progress.total}`;
+  } else {
+    progressBar.removeAttribute('value');
+  }
+  if (progress.profileCount > 1) {
+    label += ` · ${progress.profile} (${progress.profileIndex} of ${progress.profileCount})`;
+  }
+  progressLabel.textContent = label;
+}
+
+async function handleCancelJob() {
+  btnCancelCapture.disabled = true;
+  try {
+    await sendToWorker('cancelJob');
+  } catch (err) {
+    showStatus(err.message, 'error');
+  }
+}
+
+async function handleDiscardJob(message) {
+  try {
+    await sendToWorker('discardJob');
+    showStatus(message, 'info');
+  } catch (err) {
+    showStatus(err.message, 'error');
+  }
+}
+
+function defaultLoginState() {
+  return session.mode === MODES.SET ? LOGIN_STATES.LOGGED_OUT : currentCaptureState;
+}
+
 // ─── Capture Flow ───
 async function handleCapture() {
-  if (!session) return;
+  if (!session || captureJob || pendingCapture) return;
   btnCapture.classList.add('capturing');
-  
+
   try {
     // Ensure folder access first (this is a user gesture, so permission prompts work)
     await ensureFolderAccess();
-    
+
     showStatus('Preparing capture...', 'info');
 
     const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
@@ -450,10 +933,11 @@ async function handleCapture() {
     }
 
     const urlPath = url.pathname + url.search;
+    const target = getCaptureTarget();
 
     pendingCapture = {
       tabId: tab.id, fullURL: tab.url, hostname: url.hostname,
-      urlPath, timestamp: nowTimestamp(),
+      urlPath, target, timestamp: nowTimestamp(),
     };
 
     const stored = await chrome.storage.local.get([STORAGE_KEYS.CAPTURE_HISTORY, STORAGE_KEYS.PAGE_NAMES]);
@@ -477,9 +961,18 @@ async function handleCapture() {
   } catch (err) {
     showStatus(err.message, 'error');
     btnCapture.classList.remove('capturing');
+    pendingCapture = null;
   }
 }
 
+/**
+ * Placeholder for the page's language field: what leaving it empty uses.
+ */
+function sessionLanguageLabel() {
+  const language = normalizeLanguage(session.language);
+  return language ? `Session default (${language})` : 'Auto (from the page)';
+}
+
 function showPageNamePrompt() {
   // Show/hide login state toggle based on mode
   if (session.mode === MODES.SET) {
@@ -494,6 +987,12 @@ function showPageNamePrompt() {
     });
   }
 
+  selectCaptureProfile.value = session.profile || DEFAULT_PROFILE;
+  selectCaptureRegion.value = session.region || DEFAULT_REGION;
+  updateRegionNote(selectCaptureRegion);
+  inputPageLanguage.value = '';
+  inputPageLanguage.placeholder = sessionLanguageLabel();
+
   // Update pendingCapture with current state
   pendingCapture.loginState = currentCaptureState;
   pendingCapture.urlKey = getUrlKey(pendingCapture.urlPath, currentCaptureState);
@@ -512,92 +1011,61 @@ function showPageNamePrompt() {
   });
 }
 
-function handlePageNameConfirm() {
+/**
+ * Hand the named page to the service worker, which captures it and waits
+ * for the description (see renderJob).
+ */
+async function handlePageNameConfirm() {
+  if (!pendingCapture) return;
   const name = inputPageName.value.trim();
-  if (!name) { 
-    inputPageName.focus(); 
-    return; 
+  if (!name) {
+    inputPageName.focus();
+    return;
   }
-  
+
   const version = inputPageVersion.value.trim() || ''; // Optional
-  
-  // Update pendingCapture with current toggle state (may have changed)
-  pendingCapture.loginState = currentCaptureState;
-  pendingCapture.urlKey = getUrlKey(pendingCapture.urlPath, currentCaptureState);
-  pendingCapture.pageName = name;
-  pendingCapture.version = version;
-  
+  if (!inputPageLanguage.reportValidity()) return;
+
+  // Take the current toggle state (may have changed)
+  const page = {
+    ...pendingCapture,
+    loginState: currentCaptureState,
+    urlKey: getUrlKey(pendingCapture.urlPath, currentCaptureState),
+    pageName: name,
+    version,
+    profileId: selectCaptureProfile.value,
+    regionId: selectCaptureRegion.value,
+    language: normalizeLanguage(inputPageLanguage.value) || session.language || LANGUAGE_AUTO,
+  };
+  pendingCapture = null;
   pageNamePrompt.classList.add('hidden');
-  proceedWithCapture();
-}
-
-async function proceedWithCapture() {
-  showStatus('Capturing full page (DevTools Protocol)...', 'info');
 
   try {
-    // 1. Capture full page via chrome.debugger (always returns ≥ 1 part)
-    const captureResult = await captureFullPage(pendingCapture.tabId);
-    const { parts } = captureResult;
-
-    showStatus('Processing screenshot...', 'info');
-
-    // 2. Stitch all parts onto the hidden canvas.
-    const MAX_CANVAS_HEIGHT = 16384;
-    const totalPartHeight = parts.reduce((s, p) => s + p.height, 0);
-    const allStitched = totalPartHeight <= MAX_CANVAS_HEIGHT;
-
-    if (allStitched) {
-      await stitchPartsToCanvas(stitchCanvas, parts);
-    } else {
-      await drawImageToCanvas(stitchCanvas, parts[0].dataUrl);
-    }
-
-    // 3. Draw compliance overlay (prepended as a header strip)
-    drawOverlay(stitchCanvas, {
-      mode: session.mode,
-      flowOrSetName: session.flowOrSetName,
-      stepOrIndex: stepCounter,
-      pageName: pendingCapture.pageName,
-      loginState: pendingCapture.loginState,
-      version: pendingCapture.version, // Now per-page version
-      timestamp: pendingCapture.timestamp,
-      urlPath: pendingCapture.urlPath,
-      devicePixelRatio: captureResult.devicePixelRatio,
-    });
-
-    // 4. Thumbnail for preview
-    const thumbnailDataUrl = createThumbnail(stitchCanvas);
-
-    // Store for the save step.
-    pendingCapture.captureResult = {
-      thumbnailDataUrl,
-      pageHeight: captureResult.cssHeight,
-      additionalPartDataUrls: allStitched
-        ? []
-        : parts.slice(1).map(p => p.dataUrl),
-    };
-
-    const numParts = parts.length;
-    const statusMsg = numParts > 1
-      ? `Screenshot captured (${numParts} parts stitched). Add a description below.`
-      : 'Screenshot captured. Add a description below.';
-    showStatus(statusMsg, 'success');
-
-    const urlLower = pendingCapture.urlPath.toLowerCase();
-    const hasCompliance = COMPLIANCE_KEYWORDS.some(kw => urlLower.includes(kw));
-    if (hasCompliance) {
-      currentDescMode = DESCRIPTION_MODES.COMPLIANCE;
-      descModeButtons.forEach(b => b.classList.toggle('active', b.dataset.desc === 'compliance'));
-    }
-    updateDescriptionPlaceholder();
-    descriptionSection.classList.remove('hidden');
-    inputDescription.focus();
-
+    await sendToWorker('startSingle', { page, duplicate: isDuplicate, descMode: currentDescMode });
   } catch (err) {
     showStatus(`Capture failed: ${err.message}`, 'error');
     btnCapture.classList.remove('capturing');
-    pendingCapture = null;
   }
+  isDuplicate = false;
+}
+
+/**
+ * The single page waiting for its description, if any.
+ */
+function describingPage() {
+  if (!captureJob || captureJob.kind !== JOB_KINDS.SINGLE || captureJob.phase !== JOB_PHASES.DESCRIBING) {
+    return null;
+  }
+  return captureJob.pages[0];
+}
+
+function showDescription(page) {
+  currentDescMode = page.descMode;
+  descModeButtons.forEach(b => b.classList.toggle('active', b.dataset.desc === currentDescMode));
+  updateDescriptionPlaceholder();
+  inputDescription.value = page.description;
+  descriptionSection.classList.remove('hidden');
+  inputDescription.focus();
 }
 
 function updateDescriptionPlaceholder() {
@@ -609,116 +1077,263 @@ function updateDescriptionPlaceholder() {
   inputDescription.placeholder = placeholders[currentDescMode] || placeholders.short;
 }
 
+/**
+ * Pre-fill the description from the extracted page content for the current
+ * mode. Once the user has typed in the field, their text is left alone.
+ */
+function suggestDescription() {
+  const page = describingPage();
+  if (!page) return;
+  const change = { key: page.key, descMode: currentDescMode };
+  if (!page.descriptionEdited) {
+    change.description = buildDescription(page.pageContent, currentDescMode, sessionKeywords(session));
+    inputDescription.value = change.description;
+  }
+  Object.assign(page, change);
+  updatePages([change]);
+}
+
+function handleDescriptionChange() {
+  const page = describingPage();
+  if (!page) return;
+  const change = { key: page.key, description: inputDescription.value, descriptionEdited: true };
+  Object.assign(page, change);
+  updatePages([change]);
+}
+
 // ─── Save Capture ───
 async function handleSaveCapture() {
-  if (!pendingCapture || !pendingCapture.captureResult) return;
+  if (!describingPage()) return;
 
   const description = inputDescription.value.trim() || '(no description)';
-  showStatus('Generating PDF...', 'info');
+  try {
+    await sendToWorker('saveSingle', { description });
+  } catch (err) {
+    showStatus(`Save failed: ${err.message}`, 'error');
+  }
+}
+
+function displayLastCapture(data) {
+  if (!data) return;
+  lastCaptureName.textContent = data.pageName;
+  const extra = data.artifacts && data.artifacts.length > 1 ? ` (+${data.artifacts.length - 1} profiles)` : '';
+  lastCaptureFile.textContent = data.pdfFilename + extra;
+  if (data.thumbnailDataUrl) lastCaptureThumb.src = data.thumbnailDataUrl;
+  lastCaptureEl.classList.remove('hidden');
+}
+
+// ─── Batch Capture (all tabs in this window) ───
+
+/**
+ * Have the service worker capture every capturable tab in this window,
+ * then show the review list. Nothing is written until Save All.
+ */
+async function handleCaptureAllTabs() {
+  if (!session || pendingCapture || captureJob) return;
+  btnCaptureAll.disabled = true;
 
   try {
-    const { thumbnailDataUrl, additionalPartDataUrls } = pendingCapture.captureResult;
-
-    // Generate file path for PDF only (using per-page version)
-    const pdfPaths = generateFullPath(
-      { ...session, version: pendingCapture.version }, 
-      stepCounter, 
-      pendingCapture.pageName, 
-      'pdf'
-    );
-
-    // Generate PDF
-    let pdfDataUrl = null;
-    let pdfFilename = '';
-    try {
-      pdfDataUrl = await generatePdf(stitchCanvas, additionalPartDataUrls);
-      pdfFilename = pdfPaths.filename;
-    } catch (pdfErr) {
-      console.warn('PDF generation failed:', pdfErr);
-      throw new Error('PDF generation failed');
+    // Ensure folder access first (this is a user gesture, so permission prompts work)
+    await ensureFolderAccess();
+
+    const currentWindow = await chrome.windows.getCurrent();
+    await sendToWorker('startBatch', {
+      windowId: currentWindow.id,
+      loginState: defaultLoginState(),
+      descMode: currentDescMode,
+      version: inputPageVersion.value.trim(),
+    });
+  } catch (err) {
+    showStatus(err.message, 'error');
+    btnCaptureAll.disabled = false;
+  }
+}
+
+/**
+ * Rebuild the review list. Included pages are numbered consecutively from
+ * the current step counter, in the order they will be saved. Edits are
+ * sent to the service worker as they are made.
+ */
+function renderBatchReview() {
+  const pages = captureJob.pages;
+  batchList.innerHTML = '';
+  const counterWord = session.mode === MODES.FLOW ? 'Step' : 'Index';
+  let nextIndex = stepCounter;
+
+  for (const page of pages) {
+    const item = document.createElement('li');
+    item.className = 'batch-item';
+    item.classList.toggle('excluded', !page.include);
+
+    const thumb = document.createElement('img');
+    thumb.className = 'thumbnail';
+    thumb.alt = '';
+    if (page.thumbnailDataUrl) thumb.src = page.thumbnailDataUrl;
+
+    const fields = document.createElement('div');
+    fields.className = 'batch-fields';
+
+    const header = document.createElement('label');
+    header.className = 'checkbox-field';
+    const include = document.createElement('input');
+    include.type = 'checkbox';
+    include.checked = page.include;
+    include.disabled = !!page.error;
+    include.addEventListener('change', () => {
+      page.include = include.checked;
+      updatePages([{ key: page.key, include: page.include }]);
+      renderBatchReview();
+    });
+    const indexText = page.include ? `${counterWord} ${nextIndex++}` : 'Skipped';
+    header.append(include, ` ${indexText}`);
+    if (page.duplicate) {
+      const flag = document.createElement('span');
+      flag.className = 'batch-flag';
+      flag.textContent = ' · already captured';
+      header.append(flag);
     }
 
-    // Save PDF only
-    showStatus('Saving PDF...', 'info');
-    if (dirHandle) {
-      await saveViaFSA(dirHandle, pdfPaths.folder, pdfPaths.filename, pdfDataUrl);
+    const meta = document.createElement('div');
+    meta.className = 'batch-meta';
+    meta.textContent = page.hostname + page.urlPath;
+    fields.append(header, meta);
+
+    if (page.error) {
+      const error = document.createElement('div');
+      error.className = 'batch-error';
+      error.textContent = `Capture failed: ${page.error}`;
+      fields.append(error);
     } else {
-      await saveViaDownloads(pdfDataUrl, pdfPaths.fullPath);
+      const name = document.createElement('input');
+      name.type = 'text';
+      name.value = page.pageName;
+      name.placeholder = 'Page name';
+      name.addEventListener('input', () => { page.pageName = name.value; });
+      name.addEventListener('change', () => updatePages([{ key: page.key, pageName: page.pageName }]));
+
+      const description = document.createElement('textarea');
+      description.rows = 2;
+      description.value = page.description;
+      description.placeholder = 'Description';
+      description.addEventListener('input', () => { page.description = description.value; });
+      description.addEventListener('change', () => updatePages([{ key: page.key, description: page.description }]));
+      fields.append(name, description);
     }
 
-    // Create manifest row and persist
-    const manifestRow = createManifestRow({
-      timestamp: pendingCapture.timestamp,
-      version: pendingCapture.version, // Now per-page version
-      mode: session.mode === MODES.FLOW ? 'Flow' : 'Set',
-      flowOrSetName: session.flowOrSetName,
-      stepOrIndex: stepCounter,
-      pageName: pendingCapture.pageName,
-      loginState: pendingCapture.loginState === 'logged-in' ? 'Logged In' : 'Logged Out',
-      language: 'en',
-      hostname: pendingCapture.hostname,
-      fullURL: pendingCapture.fullURL,
-      urlPath: pendingCapture.urlPath,
-      pngFilename: '',
-      pdfFilename,
-      description,
-      duplicate: !!isDuplicate,
-    });
-
-    const storedManifest = await chrome.storage.local.get(STORAGE_KEYS.MANIFEST);
-    const rows = storedManifest[STORAGE_KEYS.MANIFEST] || [];
-    rows.push(manifestRow);
-    await chrome.storage.local.set({ [STORAGE_KEYS.MANIFEST]: rows });
+    item.append(thumb, fields);
+    batchList.append(item);
+  }
 
-    // Update page name memory and capture history
-    const stored = await chrome.storage.local.get([STORAGE_KEYS.PAGE_NAMES, STORAGE_KEYS.CAPTURE_HISTORY]);
-    const pageNames = stored[STORAGE_KEYS.PAGE_NAMES] || {};
-    const captureHistory = stored[STORAGE_KEYS.CAPTURE_HISTORY] || {};
-    pageNames[pendingCapture.urlKey] = pendingCapture.pageName;
-    captureHistory[pendingCapture.urlKey] = true;
-
-    const lastCaptureData = {
-      pageName: pendingCapture.pageName,
-      version: pendingCapture.version,
-      pngFilename: '', pdfFilename, description,
-      stepOrIndex: stepCounter, loginState: pendingCapture.loginState,
-      urlPath: pendingCapture.urlPath, urlKey: pendingCapture.urlKey,
-      thumbnailDataUrl,
-    };
+  const included = pages.filter(p => p.include).length;
+  batchCount.textContent = `(${included} of ${pages.length} tabs)`;
+  batchReview.classList.remove('hidden');
+}
 
-    await chrome.storage.local.set({
-      [STORAGE_KEYS.PAGE_NAMES]: pageNames,
-      [STORAGE_KEYS.CAPTURE_HISTORY]: captureHistory,
-      [STORAGE_KEYS.LAST_CAPTURE]: lastCaptureData,
-    });
+/**
+ * Save the reviewed pages, sending the latest edits along so none are
+ * lost to a change event still in flight.
+ */
+async function handleSaveBatch() {
+  if (!captureJob || captureJob.kind !== JOB_KINDS.BATCH) return;
+  const changes = captureJob.pages.map(({ key, pageName, description, include }) => ({
+    key, pageName, description, include,
+  }));
+  try {
+    await sendToWorker('saveBatch', { version: inputBatchVersion.value.trim(), changes });
+  } catch (err) {
+    showStatus(err.message, 'error');
+  }
+}
 
-    displayLastCapture(lastCaptureData);
+function closeBatchReview() {
+  batchList.innerHTML = '';
+  batchReview.classList.add('hidden');
+}
 
-    stepCounter++;
-    counterValue.textContent = stepCounter;
-    await saveStepCounter();
+// ─── URL-List Import ───
 
-    // Reset
-    descriptionSection.classList.add('hidden');
-    inputDescription.value = '';
-    pendingCapture = null;
-    isDuplicate = false;
-    btnCapture.classList.remove('capturing');
+async function handleImportUrls() {
+  if (!session || pendingCapture || captureJob) return;
+  const { entries, errors } = parseUrlList(inputUrlList.value);
+  if (entries.length === 0) {
+    importFailed = [];
+    renderImportResults([], errors);
+    showStatus(errors.length > 0 ? 'No valid URLs in the list.' : 'Paste URLs or choose a file first.', 'error');
+    return;
+  }
+  await runUrlImport(entries, errors);
+}
 
-    const savedTo = dirHandle ? dirHandle.name : 'Downloads';
-    showStatus(`Saved: ${pdfFilename} (${savedTo})`, 'success');
+/**
+ * Have the service worker load, capture and save each entry in order;
+ * progress and the outcome per URL arrive through renderJob.
+ */
+async function runUrlImport(entries, parseErrors = []) {
+  if (entries.length === 0 || captureJob) return;
+  try {
+    // Ensure folder access first (this is a user gesture, so permission prompts work)
+    await ensureFolderAccess();
 
+    importFailed = [];
+    await sendToWorker('startImport', {
+      entries,
+      parseErrors,
+      loginState: defaultLoginState(),
+      descMode: currentDescMode,
+      version: inputImportVersion.value.trim(),
+    });
   } catch (err) {
-    showStatus(`Save failed: ${err.message}`, 'error');
+    showStatus(err.message, 'error');
   }
 }
 
-function displayLastCapture(data) {
-  if (!data) return;
-  lastCaptureName.textContent = data.pageName;
-  lastCaptureFile.textContent = data.pdfFilename;
-  if (data.thumbnailDataUrl) lastCaptureThumb.src = data.thumbnailDataUrl;
-  lastCaptureEl.classList.remove('hidden');
+/**
+ * Show a ✓/✗ line per URL, plus rows of the list that could not be parsed.
+ */
+function renderImportResults(outcomes, parseErrors) {
+  importResults.innerHTML = '';
+
+  for (const { row, message } of parseErrors) {
+    const item = document.createElement('li');
+    item.className = 'batch-item batch-error';
+    item.textContent = `✗ Row ${row}: ${message}`;
+    importResults.append(item);
+  }
+
+  for (const { entry, ok, message, warnings = [] } of outcomes) {
+    const item = document.createElement('li');
+    item.className = 'batch-item';
+    const fields = document.createElement('div');
+    fields.className = 'batch-fields';
+
+    const status = document.createElement('div');
+    status.className = ok ? 'import-ok' : 'batch-error';
+    status.textContent = ok ? `✓ ${message}` : `✗ ${message}`;
+    const meta = document.createElement('div');
+    meta.className = 'batch-meta';
+    meta.textContent = entry.url;
+    fields.append(status, meta);
+
+    if (warnings.length > 0) {
+      const note = document.createElement('div');
+      note.className = 'batch-flag';
+      note.textContent = warnings.join('; ');
+      fields.append(note);
+    }
+
+    item.append(fields);
+    importResults.append(item);
+  }
+
+  btnImportRetry.classList.toggle('hidden', importFailed.length === 0);
+}
+
+function closeUrlImport() {
+  if (captureJob && captureJob.kind === JOB_KINDS.IMPORT) return;
+  importFailed = [];
+  importResults.innerHTML = '';
+  btnImportRetry.classList.add('hidden');
+  urlImport.classList.add('hidden');
 }
 
 // ─── Edit Last Capture ───
@@ -753,38 +1368,74 @@ async function handleSaveEdit(e) {
   if (!newPageName) { editPageName.focus(); return; }
 
   try {
-    // Generate new filename
-    const updatedSession = { ...session, version: newVersion, loginState: newLoginState };
-    const newPdfPaths = generateFullPath(updatedSession, newStepIndex, newPageName, 'pdf');
+    // Generate new filenames (one per captured profile)
+    const updatedSession = { ...session, version: newVersion, loginState: newLoginState, language: lastData.language };
+    const artifacts = lastData.artifacts || [{ profileId: null, pdfFilename: lastData.pdfFilename }];
 
-    // Update manifest row in storage
+    // Update manifest rows in storage
     const manifestStored = await chrome.storage.local.get(STORAGE_KEYS.MANIFEST);
     const rows = manifestStored[STORAGE_KEYS.MANIFEST] || [];
-    const idx = rows.findIndex(r => r.pdfFilename === lastData.pdfFilename);
-    if (idx >= 0) {
-      rows[idx] = createManifestRow({
-        timestamp: new Date().toLocaleString(),
-        version: newVersion,
-        mode: session.mode === MODES.FLOW ? 'Flow' : 'Set',
-        flowOrSetName: session.flowOrSetName,
-        stepOrIndex: newStepIndex,
-        pageName: newPageName,
-        loginState: newLoginState === 'logged-in' ? 'Logged In' : 'Logged Out',
-        language: 'en', hostname: '', fullURL: '',
-        urlPath: lastData.urlPath || '',
-        pngFilename: '',
+    const updatedArtifacts = artifacts.map(artifact => {
+      const profile = CAPTURE_PROFILES[artifact.profileId];
+      const profileOption = { profile: profile ? profile.label : undefined };
+      const newPngPaths = generateFullPath(updatedSession, newStepIndex, newPageName, 'png', profileOption);
+      const newPdfPaths = generateFullPath(updatedSession, newStepIndex, newPageName, 'pdf', profileOption);
+      const newPngFilename = artifact.pngFilename
+        ? pngManifestFilename(newPngPaths.filename, artifact.tiled)
+        : '';
+      const newNativePdfFilename = artifact.nativePdfFilename
+        ? generateFullPath(updatedSession, newStepIndex, newPageName, 'pdf', { ...profileOption, suffix: 'print' }).filename
+        : '';
+      const newMhtmlFilename = artifact.mhtmlFilename
+        ? generateFullPath(updatedSession, newStepIndex, newPageName, 'mhtml', profileOption).filename
+        : '';
+      const newAnnotatedPngFilename = artifact.annotatedPngFilename
+        ? pngManifestFilename(
+          generateFullPath(updatedSession, newStepIndex, newPageName, 'png', { ...profileOption, suffix: 'annotated' }).filename,
+          artifact.tiled
+        )
+        : '';
+
+      const idx = rows.findIndex(r => r.pdfFilename === artifact.pdfFilename);
+      if (idx >= 0) {
+        // Keep capture-time columns (URL, profile, policies...) from the original row
+        rows[idx] = createManifestRow({
+          ...rows[idx],
+          timestamp: new Date().toLocaleString(),
+          version: newVersion,
+          mode: session.mode === MODES.FLOW ? 'Flow' : 'Set',
+          flowOrSetName: session.flowOrSetName,
+          stepOrIndex: newStepIndex,
+          pageName: newPageName,
+          loginState: newLoginState === 'logged-in' ? 'Logged In' : 'Logged Out',
+          urlPath: lastData.urlPath || '',
+          pngFilename: newPngFilename,
+          pdfFilename: newPdfPaths.filename,
+          nativePdfFilename: newNativePdfFilename,
+          mhtmlFilename: newMhtmlFilename,
+          annotatedPngFilename: newAnnotatedPngFilename,
+          description: newDescription,
+          duplicate: rows[idx].duplicate === 'true',
+        });
+      }
+      return {
+        ...artifact,
+        pngFilename: newPngFilename,
         pdfFilename: newPdfPaths.filename,
-        description: newDescription, duplicate: false,
-      });
-      await chrome.storage.local.set({ [STORAGE_KEYS.MANIFEST]: rows });
-    }
+        nativePdfFilename: newNativePdfFilename,
+        mhtmlFilename: newMhtmlFilename,
+        annotatedPngFilename: newAnnotatedPngFilename,
+      };
+    });
+    await chrome.storage.local.set({ [STORAGE_KEYS.MANIFEST]: rows });
 
     // Update stored last capture
     const updatedCapture = {
       ...lastData,
       pageName: newPageName, version: newVersion, description: newDescription,
       stepOrIndex: newStepIndex, loginState: newLoginState,
-      pngFilename: '', pdfFilename: newPdfPaths.filename,
+      pngFilename: updatedArtifacts[0].pngFilename, pdfFilename: updatedArtifacts[0].pdfFilename,
+      artifacts: updatedArtifacts,
     };
 
     // Update page name memory
@@ -809,6 +1460,325 @@ async function handleSaveEdit(e) {
   }
 }
 
+// ─── Scheduled Jobs ───
+
+// Session fields that make up a job's capture options
+const CAPTURE_OPTION_KEYS = [
+  'region', 'language', 'fixedElementPolicy', 'settleTimeoutMs', 'nativePdf', 'pdfA', 'archive', 'keywords',
+  'annotateKeywords', 'expandCollapsed', 'overlayEnvironment', 'dismissBanners', 'dismissalRules', 'tsaUrl',
+];
+
+/**
+ * Value for a datetime-local input: tomorrow at 09:00 local time.
+ */
+function defaultFirstRun() {
+  const d = new Date();
+  d.setDate(d.getDate() + 1);
+  d.setHours(9, 0, 0, 0);
+  const pad = n => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+async function openScheduleView() {
+  jobProfile.value = (session && session.profile) || selectSessionProfile.value;
+  jobLoginState.value = session ? defaultLoginState() : LOGIN_STATES.LOGGED_OUT;
+  if (!jobFirstRun.value) jobFirstRun.value = defaultFirstRun();
+  showView('schedule');
+  await renderJobs();
+  renderRunHistory(await loadRunHistory());
+}
+
+async function renderJobs() {
+  const jobs = await loadJobs();
+  const times = await scheduledTimes();
+  jobList.innerHTML = '';
+  jobListEmpty.classList.toggle('hidden', jobs.length > 0);
+
+  for (const job of jobs) {
+    const item = document.createElement('li');
+    item.className = 'batch-item';
+    const fields = document.createElement('div');
+    fields.className = 'batch-fields';
+
+    const title = document.createElement('span');
+    title.className = 'detail-text';
+    title.textContent = job.name;
+    const meta = document.createElement('div');
+    meta.className = 'batch-meta';
+    const urlCount = parseUrlList(job.urlList).entries.length;
+    const next = times[job.id] ? new Date(times[job.id]).toLocaleString() : '—';
+    const loginLabel = job.loginState === LOGIN_STATES.LOGGED_IN ? 'Logged In' : 'Logged Out';
+    meta.textContent = `${job.mode === MODES.FLOW ? 'Flow' : 'Set'} · ${urlCount} URLs · `
+      + `${profileSelectionLabel(job.profile)} · ${loginLabel} · ${describeFrequency(job.frequency)} · next ${next}`;
+
+    const actions = document.createElement('div');
+    actions.className = 'prompt-actions';
+    const runNow = document.createElement('button');
+    runNow.type = 'button';
+    runNow.className = 'btn btn-secondary btn-sm';
+    runNow.textContent = 'Run Now';
+    runNow.addEventListener('click', () => handleRunJobNow(job));
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'btn btn-danger btn-sm';
+    remove.textContent = 'Delete';
+    remove.addEventListener('click', () => handleDeleteJob(job));
+    actions.append(runNow, remove);
+
+    fields.append(title, meta, actions);
+    item.append(fields);
+    jobList.append(item);
+  }
+}
+
+async function handleSaveJob(e) {
+  e.preventDefault();
+  const name = jobName.value.trim();
+  const { entries, errors } = parseUrlList(jobUrls.value);
+  if (errors.length > 0) {
+    showStatus(`Row ${errors[0].row}: ${errors[0].message}`, 'error', scheduleStatus);
+    return;
+  }
+  if (entries.length === 0) {
+    showStatus('Add at least one URL.', 'error', scheduleStatus);
+    return;
+  }
+  const firstRun = new Date(jobFirstRun.value).getTime();
+  if (!name || Number.isNaN(firstRun)) return;
+
+  let options;
+  if (session) {
+    options = Object.fromEntries(CAPTURE_OPTION_KEYS.map(key => [key, session[key]]));
+  } else {
+    try {
+      options = readCaptureOptions();
+    } catch (err) {
+      showStatus(err.message, 'error', scheduleStatus);
+      return;
+    }
+  }
+
+  const job = {
+    id: crypto.randomUUID(),
+    name,
+    mode: jobMode.value,
+    urlList: jobUrls.value.trim(),
+    profile: jobProfile.value,
+    loginState: jobLoginState.value,
+    version: jobVersion.value.trim(),
+    frequency: jobFrequency.value,
+    firstRun,
+    options,
+    createdAt: new Date().toISOString(),
+  };
+  await saveJobs([...(await loadJobs()), job]);
+
+  jobForm.reset();
+  jobLoginState.value = session ? defaultLoginState() : LOGIN_STATES.LOGGED_OUT;
+  jobFirstRun.value = defaultFirstRun();
+  jobFormGroup.open = false;
+  await renderJobs();
+  showStatus(`Scheduled "${job.name}".`, 'success', scheduleStatus);
+}
+
+async function handleRunJobNow(job) {
+  const response = await chrome.runtime.sendMessage({ target: 'service-worker', action: 'runJob', jobId: job.id });
+  if (response && response.queued) {
+    showStatus(`"${job.name}" started; it runs in the background. Progress shows under Run History.`, 'info', scheduleStatus);
+  } else {
+    showStatus(`Could not start "${job.name}".`, 'error', scheduleStatus);
+  }
+}
+
+async function handleDeleteJob(job) {
+  if (!confirm(`Delete the scheduled job "${job.name}"? Its run history is kept.`)) return;
+  await saveJobs((await loadJobs()).filter(j => j.id !== job.id));
+  await renderJobs();
+}
+
+/**
+ * List recent runs, newest first, with a ✓/✗ line per URL.
+ */
+function renderRunHistory(history) {
+  runHistoryList.innerHTML = '';
+  runHistoryEmpty.classList.toggle('hidden', history.length > 0);
+  const statusLabels = {
+    [RUN_STATUS.RUNNING]: 'Running',
+    [RUN_STATUS.DONE]: 'Done',
+    [RUN_STATUS.FAILED]: 'Failed',
+    [RUN_STATUS.INTERRUPTED]: 'Interrupted',
+  };
+
+  for (const run of history) {
+    const item = document.createElement('li');
+    item.className = 'batch-item';
+    const fields = document.createElement('div');
+    fields.className = 'batch-fields';
+
+    const saved = run.results.filter(r => r.ok).length;
+    const failed = run.results.length - saved;
+    const title = document.createElement('span');
+    title.className = 'detail-text';
+    title.textContent = `${run.jobName} — ${statusLabels[run.status] || run.status}`;
+    const meta = document.createElement('div');
+    meta.className = 'batch-meta';
+    meta.textContent = `${new Date(run.startedAt).toLocaleString()} · ${run.trigger === 'manual' ? 'manual' : 'scheduled'}`
+      + ` · ✓ ${saved} · ✗ ${failed}`;
+    const folder = document.createElement('span');
+    folder.className = 'detail-file';
+    folder.textContent = `Downloads/${run.folder}/`;
+    fields.append(title, meta, folder);
+
+    const problems = [
+      ...(run.error ? [run.error] : []),
+      ...run.errors.map(err => `Row ${err.row}: ${err.message}`),
+      ...run.results.filter(r => !r.ok).map(r => `${r.url}: ${r.message}`),
+    ];
+    for (const problem of problems) {
+      const line = document.createElement('div');
+      line.className = 'batch-error';
+      line.textContent = `✗ ${problem}`;
+      fields.append(line);
+    }
+
+    item.append(fields);
+    runHistoryList.append(item);
+  }
+}
+
+// ─── Compare Captures ───
+
+/**
+ * Open the compare view on the save folder, if one is chosen and granted.
+ */
+async function openCompareView() {
+  showView('compare');
+  if (!compareDir && dirHandle) {
+    compareDir = dirHandle;
+    await loadComparablePages();
+  }
+}
+
+async function handleChooseCompareFolder() {
+  try {
+    compareDir = await window.showDirectoryPicker({ mode: 'readwrite' });
+  } catch (err) {
+    if (err.name !== 'AbortError') showStatus('Failed to select folder.', 'error', compareStatus);
+    return;
+  }
+  await loadComparablePages();
+}
+
+/**
+ * List the pages in compareDir (and this session) with two or more captures.
+ */
+async function loadComparablePages() {
+  compareFolder.textContent = compareDir.name;
+  compareResult.classList.add('hidden');
+  showStatus('Looking for captures...', 'info', compareStatus);
+  try {
+    const stored = await chrome.storage.local.get(STORAGE_KEYS.MANIFEST);
+    comparePages = await findComparablePages(compareDir, stored[STORAGE_KEYS.MANIFEST] || []);
+    if (comparePages.length === 0) {
+      showStatus('No page has two captures in this folder yet.', 'info', compareStatus);
+    } else {
+      compareStatus.classList.add('hidden');
+    }
+  } catch (err) {
+    comparePages = [];
+    showStatus(`Cannot read the folder: ${err.message}`, 'error', compareStatus);
+  }
+
+  comparePage.innerHTML = '';
+  comparePages.forEach((page, i) => comparePage.add(new Option(page.label, i)));
+  renderComparePickers();
+  btnCompare.disabled = comparePages.length === 0;
+}
+
+/**
+ * Fill the Before/After pickers for the selected page, defaulting to its
+ * latest capture against the one before it.
+ */
+function renderComparePickers() {
+  compareBefore.innerHTML = '';
+  compareAfter.innerHTML = '';
+  const page = comparePages[comparePage.value];
+  if (!page) return;
+  page.captures.forEach((capture, i) => {
+    compareBefore.add(new Option(describeCapture(capture), i));
+    compareAfter.add(new Option(describeCapture(capture), i));
+  });
+  compareBefore.value = page.captures.length - 2;
+  compareAfter.value = page.captures.length - 1;
+}
+
+async function handleCompare() {
+  const page = comparePages[comparePage.value];
+  if (!page) return;
+  if (compareBefore.value === compareAfter.value) {
+    showStatus('Pick two different captures.', 'error', compareStatus);
+    return;
+  }
+  const before = page.captures[compareBefore.value];
+  const after = page.captures[compareAfter.value];
+
+  btnCompare.disabled = true;
+  showStatus('Comparing...', 'info', compareStatus);
+  try {
+    const options = { ignoreHeader: checkCompareHeader.checked };
+    const diff = diffCaptures(await loadCaptureImage(before, options), await loadCaptureImage(after, options));
+    compareImage.src = diff.canvas.toDataURL('image/png');
+    compareSummary.textContent = diff.changedPixels > 0
+      ? `${diff.changedPercent.toFixed(2)}% of pixels changed in ${diff.regions.length} regions`
+      : 'No visible change';
+    compareResult.classList.remove('hidden');
+
+    if (checkCompareRecord.checked) {
+      const diffImage = await saveDiffImage(before, after, diff);
+      const fields = comparisonFields(before, diff, diffImage.filename);
+      if (after.manifest) {
+        const recordFilename = await saveComparisonRecord(compareDir, after, fields, diffImage);
+        showStatus(`Saved ${diffImage.filename} and ${recordFilename}, and listed them in SHA256SUMS. `
+          + `${after.manifest.handle.name} is unchanged.`, 'success', compareStatus);
+      } else {
+        await recordSessionComparison(after, fields, diffImage);
+        showStatus(`Saved ${diffImage.filename} and recorded the result in this session's manifest.`, 'success', compareStatus);
+      }
+    } else {
+      compareStatus.classList.add('hidden');
+    }
+  } catch (err) {
+    showStatus(`Compare failed: ${err.message}`, 'error', compareStatus);
+  } finally {
+    btnCompare.disabled = false;
+  }
+}
+
+/**
+ * Record a comparison on the newer capture's row in this session's
+ * manifest, which is not exported yet, and add the diff image to the
+ * session's checksums (next to the capture's PNG) for SHA256SUMS.
+ */
+async function recordSessionComparison(capture, fields, diffImage) {
+  const stored = await chrome.storage.local.get([STORAGE_KEYS.MANIFEST, STORAGE_KEYS.CHECKSUMS]);
+  const rows = stored[STORAGE_KEYS.MANIFEST] || [];
+  const row = rows.find(r => r.pngFilename === capture.row.pngFilename);
+  if (!row) throw new Error('The capture is no longer in this session\'s manifest.');
+  Object.assign(row, fields);
+
+  const update = { [STORAGE_KEYS.MANIFEST]: rows };
+  const checksums = stored[STORAGE_KEYS.CHECKSUMS] || [];
+  const png = checksums.find(entry => entry.path.endsWith(`/${capture.row.pngFilename}`));
+  if (png) {
+    const path = `${png.path.slice(0, png.path.lastIndexOf('/'))}/${diffImage.filename}`;
+    update[STORAGE_KEYS.CHECKSUMS] = [
+      ...checksums.filter(entry => entry.path !== path),
+      { path, sha256: diffImage.sha256 },
+    ];
+  }
+  await chrome.storage.local.set(update);
+}
+
 // ─── Folder Picker ───
 async function handlePickFolder() {
   try {
@@ -829,5 +1799,82 @@ async function handlePickFolder() {
   }
 }
 
+// ─── Verify Folder ───
+
+/**
+ * Re-hash the files listed by the SHA256SUMS files in a picked folder, check
+ * the signatures of its manifests, and list anything that failed.
+ */
+async function handleVerifyFolder() {
+  let folder;
+  try {
+    folder = await window.showDirectoryPicker({ mode: 'read' });
+  } catch (err) {
+    if (err.name !== 'AbortError') showStatus('Failed to select folder.', 'error', verifyStatus);
+    return;
+  }
+
+  verifyResult.classList.add('hidden');
+  btnVerifyFolder.disabled = true;
+  showStatus(`Reading ${folder.name}...`, 'info', verifyStatus);
+  try {
+    const result = await verifyFolder(folder, {
+      onProgress: (checked, total) => showStatus(`Hashing file ${checked + 1} of ${total}...`, 'info', verifyStatus),
+    });
+    showStatus('Checking manifest signatures...', 'info', verifyStatus);
+    const signatures = await verifyFolderSignatures(folder);
+    verifyStatus.classList.add('hidden');
+    renderVerifyResult(folder.name, result, signatures, await installationKeyFingerprint());
+  } catch (err) {
+    showStatus(`Cannot read the folder: ${err.message}`, 'error', verifyStatus);
+  } finally {
+    btnVerifyFolder.disabled = false;
+  }
+}
+
+function renderVerifyResult(folderName, { sums, total, matched, mismatched, missing, outside }, signatures, fingerprint) {
+  if (sums.length === 0 && signatures.length === 0) {
+    showStatus(`No ${CHECKSUMS_FILENAME} file or signed manifest found in ${folderName}.`, 'error', verifyStatus);
+    return;
+  }
+
+  const validSignatures = signatures.filter(s => s.valid);
+  const summary = [];
+  if (sums.length > 0) {
+    summary.push(mismatched.length + missing.length === 0
+      ? `✓ ${matched.length} of ${total} files match`
+      : `✗ ${mismatched.length} changed, ${missing.length} missing, ${matched.length} of ${total} match`);
+  }
+  if (signatures.length > 0) {
+    summary.push(validSignatures.length === signatures.length
+      ? `✓ ${signatures.length} manifest signature${signatures.length === 1 ? '' : 's'} valid`
+      : `✗ ${signatures.length - validSignatures.length} of ${signatures.length} manifest signatures failed`);
+  }
+  verifySummary.textContent = summary.join(' · ');
+
+  verifyProblems.innerHTML = '';
+  const addItem = (text, className) => {
+    const item = document.createElement('li');
+    item.className = `batch-item ${className}`;
+    item.textContent = text;
+    verifyProblems.append(item);
+  };
+  for (const path of mismatched) addItem(`✗ Changed since capture: ${path}`, 'batch-error');
+  for (const path of missing) addItem(`✗ Missing: ${path}`, 'batch-error');
+  for (const path of outside) addItem(`Not checked (outside ${folderName}; pick a higher folder): ${path}`, 'batch-error');
+  for (const { manifest, valid, error, fingerprint: keyFingerprint, ownKey } of signatures) {
+    if (error) {
+      addItem(`✗ ${error}: ${manifest}`, 'batch-error');
+    } else if (!valid) {
+      addItem(`✗ Signature does not match: ${manifest}`, 'batch-error');
+    } else {
+      const signer = ownKey ? 'this installation' : `key ${keyFingerprint.slice(0, 16)}…`;
+      addItem(`✓ Signed by ${signer}: ${manifest}`, 'batch-meta');
+    }
+  }
+  verifyFingerprint.textContent = `This installation's signing key: ${fingerprint}`;
+  verifyResult.classList.remove('hidden');
+}
+
 // ─── Bootstrap ───
 init();
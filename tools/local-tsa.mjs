@@ -0,0 +1,162 @@
+#!/usr/bin/env node
+/**
+ * Local stand-in Time Stamping Authority for trying out Exemplar Capture's
+ * RFC 3161 timestamps without an external TSA.
+ *
+ *   node tools/local-tsa.mjs [--port 3161] [--dir ~/.exemplar-local-tsa]
+ *
+ * On first run it creates a test CA and a TSA certificate in --dir, then
+ * answers timestamp queries POSTed to any path with `openssl ts -reply`.
+ * Set the extension's Timestamp Authority URL to http://localhost:3161/ and
+ * check a saved token with:
+ *
+ *   openssl ts -verify -in file.png.tsr -data file.png -CAfile ~/.exemplar-local-tsa/ca.pem
+ *
+ * Needs Node.js 18+ and the openssl command. Its tokens are for testing
+ * only: the time comes from this machine's clock and the CA is self-made.
+ */
+
+import { Buffer } from 'node:buffer';
+import { createServer } from 'node:http';
+import { execFile } from 'node:child_process';
+import { existsSync, mkdirSync, writeFileSync } from 'node:fs';
+import { readFile, writeFile, rm } from 'node:fs/promises';
+import { homedir } from 'node:os';
+import { join, resolve } from 'node:path';
+import process from 'node:process';
+import { promisify } from 'node:util';
+
+const run = promisify(execFile);
+
+function parseArgs(argv) {
+  const args = { port: 3161, dir: join(homedir(), '.exemplar-local-tsa') };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--port') args.port = parseInt(argv[++i], 10);
+    else if (argv[i] === '--dir') args.dir = argv[++i];
+    else throw new Error(`Unknown argument ${argv[i]}`);
+  }
+  return { ...args, dir: resolve(args.dir) };
+}
+
+// ─── Certificates ───
+
+/**
+ * Create the test CA, the TSA's key and certificate (extended key usage
+ * timeStamping, as RFC 3161 requires) and the `openssl ts` config, unless
+ * they already exist.
+ */
+async function ensureTsa(dir) {
+  const config = join(dir, 'tsa.cnf');
+  if (existsSync(config)) return config;
+  mkdirSync(dir, { recursive: true });
+  const file = name => join(dir, name);
+  const newKey = ['-newkey', 'ec', '-pkeyopt', 'ec_paramgen_curve:P-256', '-nodes'];
+
+  await run('openssl', [
+    'req', '-x509', ...newKey, '-keyout', file('ca.key'), '-out', file('ca.pem'), '-days', '3650',
+    '-subj', '/CN=Exemplar Capture Test CA',
+    '-addext', 'basicConstraints=critical,CA:TRUE', '-addext', 'keyUsage=critical,keyCertSign,cRLSign',
+  ]);
+  await run('openssl', [
+    'req', '-new', ...newKey, '-keyout', file('tsa.key'), '-out', file('tsa.csr'),
+    '-subj', '/CN=Exemplar Capture Local TSA',
+  ]);
+  writeFileSync(file('tsa-ext.cnf'), [
+    'basicConstraints = CA:FALSE',
+    'keyUsage = critical, digitalSignature',
+    'extendedKeyUsage = critical, timeStamping',
+  ].join('\n') + '\n');
+  await run('openssl', [
+    'x509', '-req', '-in', file('tsa.csr'), '-CA', file('ca.pem'), '-CAkey', file('ca.key'),
+    '-CAcreateserial', '-out', file('tsa.pem'), '-days', '3650', '-extfile', file('tsa-ext.cnf'),
+  ]);
+
+  writeFileSync(file('serial'), '01\n');
+  writeFileSync(config, [
+    '[ tsa ]',
+    'default_tsa = local_tsa',
+    '',
+    '[ local_tsa ]',
+    `serial = ${file('serial')}`,
+    `signer_cert = ${file('tsa.pem')}`,
+    `certs = ${file('ca.pem')}`,
+    `signer_key = ${file('tsa.key')}`,
+    'signer_digest = sha256',
+    'default_policy = 1.2.3.4.1',
+    'digests = sha256, sha384, sha512',
+    'accuracy = secs:1',
+    'ordering = no',
+    'tsa_name = yes',
+    'ess_cert_id_chain = no',
+    'ess_cert_id_alg = sha256',
+  ].join('\n') + '\n');
+  return config;
+}
+
+// ─── Server ───
+
+let queue = Promise.resolve();
+let requestCount = 0;
+
+/**
+ * Answer one TimeStampReq. Replies run one at a time, as they share the
+ * serial number file.
+ */
+function reply(dir, config, query) {
+  const id = ++requestCount;
+  const queryFile = join(dir, `query-${id}.tsq`);
+  const replyFile = join(dir, `reply-${id}.tsr`);
+  const result = queue.then(async () => {
+    try {
+      await writeFile(queryFile, query);
+      await run('openssl', ['ts', '-reply', '-config', config, '-queryfile', queryFile, '-out', replyFile]);
+      return await readFile(replyFile);
+    } finally {
+      await rm(queryFile, { force: true });
+      await rm(replyFile, { force: true });
+    }
+  });
+  queue = result.catch(() => {});
+  return result;
+}
+
+async function main() {
+  const { port, dir } = parseArgs(process.argv.slice(2));
+  const config = await ensureTsa(dir);
+
+  const server = createServer((req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204).end();
+      return;
+    }
+    if (req.method !== 'POST') {
+      res.writeHead(405, { Allow: 'POST' }).end('POST an RFC 3161 timestamp query\n');
+      return;
+    }
+
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', async () => {
+      try {
+        const token = await reply(dir, config, Buffer.concat(chunks));
+        res.writeHead(200, { 'Content-Type': 'application/timestamp-reply' }).end(token);
+        console.log(`${new Date().toISOString()} stamped a query`);
+      } catch (err) {
+        console.error('openssl ts -reply failed:', err.stderr || err.message);
+        res.writeHead(400, { 'Content-Type': 'text/plain' }).end('Not a valid timestamp query\n');
+      }
+    });
+  });
+
+  server.listen(port, '127.0.0.1', () => {
+    console.log(`Local TSA listening on http://localhost:${port}/`);
+    console.log(`Verify tokens with -CAfile ${join(dir, 'ca.pem')}`);
+  });
+}
+
+main().catch(err => {
+  console.error(err.message);
+  process.exit(1);
+});